@@ -3,784 +3,6008 @@ const http = {
         if (content instanceof String) return content;
         else {
             const array = [];
-            for (const key in content) if (content.hasOwnProperty(key)) array.push(key + '=' + encodeURI(content[key]));
+            for (const key in content) if (content.hasOwnProperty(key) && content[key] != null) array.push(key + '=' + encodeURIComponent(content[key]));
             return array.join('&');
         }
     },
     get: async function (url, content, headers = {}) {
         return this.getRaw(url, content, headers).then(response => response.text());
     },
-    getRaw: async function (url, content, headers = {}, mode = 'cors') {
+    getRaw: async function (url, content, headers = {}, mode = 'cors', transport = null, signal = null) {
         let tail = '';
         if (content != null) tail = '?' + this.formEncode(content);
-        headers['Content-Type'] = 'application/x-www-form-urlencoded';
-        return await fetch(url + tail, {
+        return await this.fetch(transport, url + tail, {
             method: 'GET',
             mode: mode,
-            headers: headers
+            headers: headers,
+            signal: signal
         }).catch(error => {
-            console.log('Error fetching ' + url + tail + ' -> '+ error);
+            if (error && error.name === 'AbortError') throw error;
+            throw new NetworkError('Error fetching ' + url + tail + ' -> ' + error, {method: 'GET', url: url + tail, cause: error});
         });
+    },
+    send: async function (method, url, data, headers = {}, mode = 'cors', transport = null, signal = null) {
+        if (data != null) headers['Content-Type'] = 'application/json';
+        return await this.fetch(transport, url, {
+            method: method,
+            mode: mode,
+            headers: headers,
+            body: data != null ? JSON.stringify(data) : undefined,
+            signal: signal
+        }).catch(error => {
+            if (error && error.name === 'AbortError') throw error;
+            throw new NetworkError('Error sending ' + method + ' ' + url + ' -> ' + error, {method: method, url: url, cause: error});
+        });
+    },
+    fetch: async function (transport, url, init) {
+        if (init.mode == null) delete init.mode;
+        if (init.signal == null) delete init.signal;
+        if (transport == null) return fetch(url, init);
+        if (typeof transport === 'function') return transport(url, init);
+        return transport.fetch(url, init);
     }
 }
 
 /**
- * This method processes the request and caches it if enabled.
- * @param url The GitHub API/proxy GET URL.
- * @param body The request body, or nothing.
- * @returns {Promise<null|*>} The data object.
+ * A transport that sends requests on (normally with `fetch`) and records each exchange as a fixture.
+ * The fixtures are plain JSON, so they can be saved and served again by a `FixtureReplayer`, e.g. for offline tests.
+ * Request headers are not recorded, so tokens are never saved.
+ *
+ * `const recorder = new FixtureRecorder(); const client = new GitHub({transport: recorder});`
  */
-async function request(url, body = {}) {
-    if (url == null) return null;
-    if (url.includes('api.github')) url = url.substring('https://api.github.com'.length);
-    if (!body && GitHub.cache_requests && GitHub.cache.requests.has(url)) return GitHub.cache.requests.get(url);
-    const data = await http.get(GitHub.url + url, body).then(JSON.parse).catch(console.error);
-    if (GitHub.cache_requests) GitHub.cache.requests.put(url, data);
-    return data;
+class FixtureRecorder {
+    /**
+     * The exchanges so far, in the order they were made.
+     */
+    fixtures = [];
+    _transport;
+
+    /**
+     * @param transport The transport to record, or nothing for `fetch`.
+     */
+    constructor(transport = null) {
+        this._transport = transport;
+    }
+
+    fetch = async (url, init = {}) => {
+        const response = await http.fetch(this._transport, url, {...init});
+        const type = response.headers.get('content-type') || '';
+        const binary = !!type && !/json|text|xml|javascript/.test(type);
+        const content = binary ? encodeBase64(await response.clone().arrayBuffer()) : await response.clone().text();
+        const headers = {};
+        response.headers.forEach((value, key) => {
+            if (key !== 'set-cookie') headers[key] = value;
+        });
+        this.fixtures.push({
+            method: init.method || 'GET',
+            url: url,
+            body: init.body != null ? init.body : null,
+            status: response.status,
+            status_text: response.statusText,
+            headers: headers,
+            response: content,
+            encoding: binary ? 'base64' : 'utf-8'
+        });
+        return response;
+    }
+
+    toJSON() {
+        return this.fixtures;
+    }
+
 }
 
 /**
- * An object from the GitHub API, subject to lazy loading.
- * These objects are always present and almost never given via a promise, but their data may be unavailable at creation.
+ * A transport that answers requests from recorded fixtures, without any network access.
+ * Requests are matched by method, URL and body. If the same request was recorded several times
+ * the recordings are served in order, and the last is repeated after that.
  *
- * Using `awaitReady` will guarantee their completion.
- * This method needs to be run only once, but subsequent calls will return the same object.
+ * A request with no fixture fails with a `NetworkError`.
  */
-class Git {
-    _resolved = false;
-    _promise = null;
-    _request;
+class FixtureReplayer {
+    fixtures;
+    _served = new Map();
 
-    constructor(request) {
-        this._request = request;
-        this.awaitReady(request).then(() => this.resolved = true);
+    /**
+     * @param fixtures The fixtures from a `FixtureRecorder`, or their JSON.
+     */
+    constructor(fixtures = []) {
+        this.fixtures = (typeof fixtures === 'string' || fixtures instanceof String) ? JSON.parse(fixtures) : [...fixtures];
     }
 
-    isReady() {
-        return (this.resolved || this._request == null);
+    fetch = async (url, init = {}) => {
+        const method = init.method || 'GET', body = init.body != null ? init.body : null;
+        const matches = this.fixtures.filter(fixture => fixture.method === method && fixture.url === url && fixture.body === body);
+        if (!matches.length) throw new Error('No fixture for ' + method + ' ' + url);
+        const key = method + ' ' + url + ' ' + body, index = this._served.get(key) || 0;
+        this._served.set(key, index + 1);
+        const fixture = matches[Math.min(index, matches.length - 1)];
+        let content = fixture.response || null;
+        if (content && fixture.encoding === 'base64') content = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+        if ([101, 204, 205, 304].includes(fixture.status)) content = null;
+        return new Response(content, {status: fixture.status, statusText: fixture.status_text || '', headers: fixture.headers});
     }
 
-    async awaitReady() {
-        if (this.resolved || this._request == null) return;
-        if (this._promise != null) return this._promise;
-        const source = this;
-        this._promise = new Promise(async (resolve) => {
-            const data = await this._request;
-            Object.assign(source, data);
-            resolve(source);
-        });
-        await this._promise;
-        delete this._promise;
+    /**
+     * Starts serving every fixture from its first recording again.
+     */
+    reset() {
+        this._served.clear();
     }
 
 }
 
 /**
- * A file. This is used both for files in repositories and in gists and other places.
- * Not all the fields may be fulfilled.
- * The methods aim to provide reliable information from any file type.
+ * Encodes text (as UTF-8) or binary content as base64.
+ * @param content A string, an ArrayBuffer or a typed array.
+ * @returns {string} The base64 string.
  */
-class File extends Git {
-    // GIST
-    filename;
-    type;
-    language;
-    raw_url;
-    size;
-    // REPO
-    name;
-    path;
-    sha;
-    url;
-    html_url;
-    git_url;
-    download_url;
-    content;
-    encoding;
-    truncated;
+function encodeBase64(content) {
+    let bytes;
+    if (typeof content === 'string' || content instanceof String) bytes = new TextEncoder().encode(content);
+    else if (ArrayBuffer.isView(content)) bytes = new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+    else bytes = new Uint8Array(content);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
 
-    constructor(request) {
-        super(request);
-    }
+/**
+ * Decodes base64 (which may be split over lines, as the API sends it) into bytes.
+ * @param content The base64 string.
+ * @returns {Uint8Array} The bytes.
+ */
+function decodeBase64(content) {
+    return Uint8Array.from(atob(content.replace(/\s/g, '')), char => char.charCodeAt(0));
+}
 
-    async awaitReady() {
-        return super.awaitReady();
+/**
+ * The MIME types of common file extensions, and of the languages GitHub detects.
+ */
+const mimeTypes = {
+    extensions: {
+        txt: 'text/plain', md: 'text/markdown', markdown: 'text/markdown', html: 'text/html', htm: 'text/html', css: 'text/css',
+        csv: 'text/csv', js: 'text/javascript', mjs: 'text/javascript', json: 'application/json', xml: 'application/xml',
+        yml: 'application/yaml', yaml: 'application/yaml', svg: 'image/svg+xml', png: 'image/png', jpg: 'image/jpeg',
+        jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', ico: 'image/x-icon', bmp: 'image/bmp',
+        pdf: 'application/pdf', zip: 'application/zip', gz: 'application/gzip', tgz: 'application/gzip', tar: 'application/x-tar',
+        wasm: 'application/wasm', mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', mp4: 'video/mp4', webm: 'video/webm',
+        woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf'
+    },
+    languages: {
+        Text: 'text/plain', Markdown: 'text/markdown', HTML: 'text/html', CSS: 'text/css', CSV: 'text/csv',
+        JavaScript: 'text/javascript', JSON: 'application/json', XML: 'application/xml', YAML: 'application/yaml',
+        SVG: 'image/svg+xml'
     }
+};
 
-    async getName() {
-        await this.awaitReady();
-        return this.filename || this.name;
-    }
+/**
+ * Guesses the MIME type of a file from its extension, or else the language GitHub detected.
+ * Files in other languages are taken to be plain text, and anything else to be binary.
+ * @param name The file name.
+ * @param language The language, or nothing.
+ * @returns {string} The MIME type.
+ */
+function getMimeType(name, language) {
+    const extension = name && name.includes('.') ? name.substring(name.lastIndexOf('.') + 1).toLowerCase() : null;
+    if (extension && mimeTypes.extensions[extension]) return mimeTypes.extensions[extension];
+    if (language) return mimeTypes.languages[language] || 'text/plain';
+    return 'application/octet-stream';
+}
 
-    async getRawURL() {
-        await this.awaitReady();
-        return this.raw_url || this.download_url;
-    }
+/**
+ * Reads a Git LFS pointer, which is committed in place of a file that is stored elsewhere.
+ * @param bytes The committed content.
+ * @returns {null|{oid: string, size: number}} The object the pointer is for, or nothing if this is not a pointer.
+ */
+function parseLfsPointer(bytes) {
+    if (bytes.length > 1024) return null;
+    const text = new TextDecoder().decode(bytes);
+    if (!text.startsWith('version https://git-lfs.github.com/spec/v1\n')) return null;
+    const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m), size = text.match(/^size (\d+)$/m);
+    return oid && size ? {oid: oid[1], size: Number(size[1])} : null;
+}
 
-    async getContent() {
-        await this.awaitReady();
-        if (this.content && this.encoding === 'base64' && !this.truncated) return atob(this.content);
-        else if (this.content && !this.encoding && !this.truncated) return this.content;
-        return this.content = await request(await this.getRawURL());
+/**
+ * Converts gist files given as strings into the `{content}` objects the API expects.
+ * A `null` file is kept, since that deletes the file from the gist.
+ * @param files The files by name.
+ * @returns {{}} The files for the API.
+ */
+function normaliseGistFiles(files = {}) {
+    const object = {};
+    for (const name in files) {
+        const file = files[name];
+        object[name] = (typeof file === 'string' || file instanceof String) ? {content: file + ''} : file;
     }
+    return object;
+}
 
-    async isFromGist() {
-        return !!this.filename;
+/**
+ * Compares two texts line by line, as a unified diff with three lines of context around each change.
+ * @param before The old text.
+ * @param after The new text.
+ * @returns {{additions: number, deletions: number, patch: string}} The number of lines added and removed, and the patch.
+ */
+function diffLines(before, after) {
+    const split = text => text ? text.replace(/\n$/, '').split('\n') : [];
+    const a = split(before), b = split(after), n = a.length, m = b.length, context = 3;
+    // Myers' algorithm: find the furthest reaching path for each number of edits, then walk back through them.
+    const trace = [], furthest = {1: 0};
+    const down = (k, d, v) => k === -d || (k !== d && v[k - 1] < v[k + 1]);
+    search: for (let d = 0; d <= n + m; d++) {
+        trace.push({...furthest});
+        for (let k = -d; k <= d; k += 2) {
+            let x = down(k, d, furthest) ? furthest[k + 1] : furthest[k - 1] + 1, y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            furthest[k] = x;
+            if (x >= n && y >= m) break search;
+        }
     }
-
-    async isFromRepository() {
-        return !!this.name;
+    const operations = [];
+    for (let d = trace.length - 1, x = n, y = m; d >= 0; d--) {
+        const v = trace[d], k = x - y, previous = down(k, d, v) ? k + 1 : k - 1;
+        const start = v[previous], end = start - previous;
+        while (x > start && y > end) {
+            x--;
+            y--;
+            operations.push([' ', a[x]]);
+        }
+        if (d > 0) operations.push(x === start ? ['+', b[--y]] : ['-', a[--x]]);
+        x = start;
+        y = end;
     }
+    operations.reverse();
+    const positions = [];
+    let additions = 0, deletions = 0;
+    for (let i = 0, old = 0, current = 0; i < operations.length; i++) {
+        positions.push([old, current]);
+        if (operations[i][0] !== '+') old++;
+        if (operations[i][0] !== '-') current++;
+    }
+    const hunks = [];
+    operations.forEach((operation, index) => {
+        if (operation[0] === ' ') return;
+        if (operation[0] === '+') additions++;
+        else deletions++;
+        const last = hunks[hunks.length - 1];
+        if (last && index - last[1] - 1 <= context * 2) last[1] = index;
+        else hunks.push([index, index]);
+    });
+    const patch = hunks.map(([first, last]) => {
+        const from = Math.max(0, first - context), lines = operations.slice(from, Math.min(operations.length, last + context + 1));
+        const old = lines.filter(line => line[0] !== '+').length, current = lines.filter(line => line[0] !== '-').length;
+        return '@@ -' + (positions[from][0] + (old ? 1 : 0)) + ',' + old + ' +' + (positions[from][1] + (current ? 1 : 0)) + ',' + current + ' @@\n'
+            + lines.map(line => line[0] + line[1]).join('\n');
+    }).join('\n');
+    return {additions: additions, deletions: deletions, patch: patch};
+}
 
+/**
+ * Makes the relative links and images in rendered HTML absolute.
+ * Anchors, absolute URLs and paths from the root (`/docs/a.md`) are kept apart from the root, which is the repository's.
+ * @param html The HTML.
+ * @param root The URLs of the repository's files at the ref, for links (`href`) and images (`src`), ending in `/`.
+ * @param directory The directory the Markdown was in, which relative paths start from.
+ * @returns {string} The HTML with absolute links.
+ */
+function rewriteLinks(html, root, directory = '') {
+    directory = directory.replace(/^\/+|\/+$/g, '');
+    return html.replace(/(<(?:a|img)\b[^>]*?\s(href|src)=")([^"]*)"/gi, (match, start, attribute, link) => {
+        if (!link || link.startsWith('#') || /^[a-z][a-z\d+.-]*:|^\/\//i.test(link)) return match;
+        const base = root[attribute.toLowerCase()];
+        const url = link.startsWith('/') ? new URL(link.substring(1), base) : new URL(link, new URL(directory ? directory + '/' : '', base));
+        return start + url.href + '"';
+    });
 }
 
+const sleep = (millis) => new Promise(resolve => setTimeout(resolve, millis));
+
 /**
- * An object representing a gist.
+ * Maps items through an async function, running no more than a number of them at once.
+ * @param items The items.
+ * @param limit The most to run at once.
+ * @param map The function.
+ * @returns {Promise<Array>} The results, in the order of the items.
  */
-class Gist extends Git {
-    url;
-    forks_url;
-    commits_url;
-    id;
-    node_id;
-    git_pull_url;
-    git_push_url;
-    html_url;
-    public;
-    created_at;
-    updated_at;
-    description;
-    comments;
-    user;
-    comments_url;
-    owner = {};
-    files = {};
-    truncated;
+async function mapConcurrently(items, limit, map) {
+    const results = new Array(items.length);
+    let next = 0;
+    const work = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await map(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({length: Math.max(1, Math.min(limit, items.length))}, work));
+    return results;
+}
 
-    constructor(request) {
-        super(request);
+/**
+ * Finds which rate limit a request path counts against.
+ * @param path The API path.
+ * @returns {null|string} The rate limit resource, or nothing if the path is not limited.
+ */
+function getRateLimitResource(path) {
+    if (path.startsWith('/rate_limit')) return null;
+    if (path.startsWith('/search/code')) return 'code_search';
+    if (path.startsWith('/search')) return 'search';
+    if (path.startsWith('/graphql')) return 'graphql';
+    return 'core';
+}
+
+/**
+ * Converts a glob into a regular expression for matching paths.
+ * `*` and `?` do not match across directories, `**` matches any number of directories and `{a,b}` matches either.
+ * @param glob The glob, e.g. `docs/**\/*.{md,html}`
+ * @returns {RegExp} The expression.
+ */
+function globToRegExp(glob) {
+    const escape = text => text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                pattern += '(?:.*/)?';
+            } else pattern += '.*';
+        } else if (char === '*') pattern += '[^/]*';
+        else if (char === '?') pattern += '[^/]';
+        else if (char === '{' && glob.indexOf('}', i) > i) {
+            const end = glob.indexOf('}', i);
+            pattern += '(?:' + glob.substring(i + 1, end).split(',').map(escape).join('|') + ')';
+            i = end;
+        } else pattern += escape(char);
     }
+    return new RegExp('^' + pattern + '$');
+}
 
-    async awaitReady() {
-        return super.awaitReady();
+/**
+ * Reads a semantic version from a tag such as `v2.1.0` or `release-2.1.0-beta.1`. Missing minor and patch numbers are zero.
+ * @param text The tag or version.
+ * @returns {null|{major: number, minor: number, patch: number, prerelease: string[]}} The version, or nothing if there is none.
+ */
+function parseVersion(text) {
+    const match = /^[^\d]*(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec((text || '').trim());
+    if (!match) return null;
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2] || 0),
+        patch: Number(match[3] || 0),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * Compares two versions by semantic version precedence.
+ * @returns {number} Less than zero if the first is lower, more than zero if it is higher, otherwise zero.
+ */
+function compareVersions(a, b) {
+    if (a.major !== b.major) return a.major - b.major;
+    if (a.minor !== b.minor) return a.minor - b.minor;
+    if (a.patch !== b.patch) return a.patch - b.patch;
+    if (!a.prerelease.length || !b.prerelease.length) return b.prerelease.length - a.prerelease.length;
+    for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+        const x = a.prerelease[i], y = b.prerelease[i];
+        if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+        if (x === y) continue;
+        const numeric = /^\d+$/.test(x), other = /^\d+$/.test(y);
+        if (numeric && other) return Number(x) - Number(y);
+        if (numeric !== other) return numeric ? -1 : 1;
+        return x < y ? -1 : 1;
     }
+    return 0;
+}
 
-    async getOwner() {
-        await this.awaitReady();
-        return await GitHub.getUserByName(this['owner'].login).awaitReady();
+/**
+ * Converts one comparator of a range (e.g. `^2.1`, `>=1.2`, `1.x`) into simple comparisons with full versions.
+ * @param comparator The comparator.
+ * @param prerelease Whether the pre-releases of the lowest version are in the range.
+ * @returns {null|Array} The `[operator, version]` pairs, or nothing if the comparator is invalid.
+ */
+function parseComparator(comparator, prerelease = false) {
+    const match = /^(<=|>=|<|>|=|\^|~>?)?v?(?:(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?)?$/.exec(comparator);
+    if (!match) return null;
+    const operator = match[1] || '=', number = part => (part == null || /^[xX*]$/.test(part)) ? null : Number(part);
+    const major = number(match[2]), minor = major == null ? null : number(match[3]), patch = minor == null ? null : number(match[4]);
+    const version = (major, minor, patch, prerelease = []) => ({major, minor, patch, prerelease});
+    const full = version(major, minor || 0, patch || 0, patch != null && match[5] ? match[5].split('.') : []);
+    const lowest = prerelease && !full.prerelease.length ? version(full.major, full.minor, full.patch, ['0']) : full;
+    const next = minor == null ? version(major + 1, 0, 0, ['0']) : version(major, minor + 1, 0, ['0']);
+    if (major == null) return (operator === '<' || operator === '>') ? [['<', version(0, 0, 0, ['0'])]] : [];
+    switch (operator) {
+        case '^':
+            if (major > 0 || minor == null) return [['>=', lowest], ['<', version(major + 1, 0, 0, ['0'])]];
+            if (minor > 0 || patch == null) return [['>=', lowest], ['<', version(0, minor + 1, 0, ['0'])]];
+            return [['>=', lowest], ['<', version(0, 0, patch + 1, ['0'])]];
+        case '~':
+        case '~>':
+            return [['>=', lowest], ['<', next]];
+        case '>':
+            return patch == null ? [['>=', next]] : [['>', full]];
+        case '>=':
+            return [['>=', patch == null ? lowest : full]];
+        case '<':
+            return patch == null ? [['<', version(major, minor || 0, 0, ['0'])]] : [['<', full]];
+        case '<=':
+            return patch == null ? [['<', next]] : [['<=', full]];
+        default:
+            return patch == null ? [['>=', lowest], ['<', next]] : [['=', full]];
     }
+}
 
-    async getFile(name) {
-        await this.awaitReady();
-        if (this._files) {
-            for (let file of this._files) if (file.filename === name) return file;
-            return null;
-        } else return this.files[name] ? GitHub.createFile(this.files[name]) : null;
+/**
+ * Checks whether a version is in a range, using the same syntax as npm (`^2.1`, `~1.2.3`, `>=1 <3`, `1.x || 2.0.0 - 2.5`).
+ * Pre-release versions only match if the range names a pre-release of the same version, unless `prerelease` is set.
+ * @param version The parsed version.
+ * @param range The range.
+ * @param prerelease Whether any pre-release in the range matches.
+ * @returns {boolean} Whether the version is in the range.
+ */
+function satisfiesRange(version, range, prerelease = false) {
+    const tests = {
+        '<': order => order < 0, '<=': order => order <= 0, '>': order => order > 0, '>=': order => order >= 0, '=': order => order === 0
+    };
+    return range.split('||').some(set => {
+        const text = set.trim()
+            .replace(/^(\S+)\s+-\s+(\S+)$/, '>=$1 <=$2')
+            .replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1');
+        const comparators = [];
+        for (const part of text.split(/\s+/).filter(part => part)) {
+            const parsed = parseComparator(part, prerelease);
+            if (!parsed) return false;
+            comparators.push(...parsed);
+        }
+        if (!comparators.every(([operator, bound]) => tests[operator](compareVersions(version, bound)))) return false;
+        if (!version.prerelease.length || prerelease) return true;
+        return comparators.some(([, bound]) => bound.prerelease.length && bound.major === version.major
+            && bound.minor === version.minor && bound.patch === version.patch);
+    });
+}
+
+/**
+ * Reads the page URLs from a `Link` header.
+ * @param header The header, e.g. `<https://api.github.com/...?page=2>; rel="next", <...>; rel="last"`
+ * @returns {{}} The URLs by relation.
+ */
+function parseLinks(header) {
+    const links = {};
+    if (!header) return links;
+    for (const match of header.matchAll(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/g)) {
+        for (const rel of match[2].split(/\s+/)) links[rel] = match[1];
     }
+    return links;
+}
 
-    async getFiles() {
-        await this.awaitReady();
-        if (this._files) return this._files;
-        const array = [];
-        for (let key in this.files) array.push(GitHub.createFile(this.files[key]));
-        return this._files = array;
+/**
+ * An error from a request to the GitHub API.
+ * This carries the status, the message and documentation URL from GitHub, and the request ID for reporting problems.
+ */
+class GitHubError extends Error {
+    status;
+    documentation_url;
+    request_id;
+    method;
+    url;
+    errors;
+
+    constructor(message, {status, documentation_url, request_id, method, url, errors, cause} = {}) {
+        super(message, cause ? {cause: cause} : undefined);
+        this.name = 'GitHubError';
+        this.status = status;
+        this.documentation_url = documentation_url;
+        this.request_id = request_id;
+        this.method = method;
+        this.url = url;
+        this.errors = errors;
     }
 
-    async getFileNames() {
-        await this.awaitReady();
-        return Object.keys(this.files);
+    /**
+     * Creates the error for an unsuccessful response, of the subclass for its status.
+     * @param response The response.
+     * @param method The HTTP method.
+     * @param url The URL or path that was requested.
+     * @returns {Promise<GitHubError>} The error.
+     */
+    static async from(response, method = 'GET', url = response.url) {
+        const data = await response.clone().json().catch(() => ({}));
+        const options = {
+            status: response.status,
+            documentation_url: data.documentation_url,
+            request_id: response.headers.get('x-github-request-id'),
+            method: method,
+            url: url,
+            errors: data.errors
+        };
+        const message = (data.message || response.statusText || 'Request failed') + ' (' + response.status + ' from ' + method + ' ' + url + ')';
+        if (response.status === 401 || response.status === 403) return new AuthError(message, options);
+        if (response.status === 404) return new NotFoundError(message, options);
+        if (response.status === 400 || response.status === 422) return new ValidationError(message, options);
+        return new GitHubError(message, options);
     }
 
 }
 
 /**
- * An object representing an event.
+ * Thrown when something does not exist, or is private and the client cannot see it.
  */
-class Event extends Git {
-    id;
-    type;
-    actor = {};
-    repo = {};
-    payload = {};
-    public;
-    created_at;
+class NotFoundError extends GitHubError {
 
-    constructor(request) {
-        super(request);
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
     }
 
-    getOwner() {
-        return GitHub.getUserByName(this['actor'].login).awaitReady();
-    }
+}
 
-    getDate() {
-        return new Date(this.created_at);
+/**
+ * Thrown when the client's token is missing, invalid or does not have permission.
+ */
+class AuthError extends GitHubError {
+
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
     }
 
 }
 
 /**
- * An object representing a user.
+ * Thrown when GitHub refuses the data sent, e.g. a missing field when creating something.
+ * The details are in `errors`.
  */
-class User extends Git {
-    login;
-    id;
-    node_id;
-    avatar_url;
-    gravatar_id;
-    url;
-    html_url;
-    followers_url;
-    following_url;
-    gists_url;
-    starred_url;
-    subscriptions_url;
-    organizations_url;
-    repos_url;
-    events_url;
-    received_events_url;
-    type;
-    site_admin;
-    name;
-    company;
-    blog;
-    location;
-    email;
-    hireable;
-    bio;
-    twitter_username;
-    public_repos;
-    public_gists;
-    followers;
-    following;
-    created_at;
-    updated_at;
-    display_name;
+class ValidationError extends GitHubError {
 
-    constructor(request) {
-        super(request);
-        this.awaitReady().then(() => this.display_name = this.name || this.login);
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ValidationError';
     }
 
-    async awaitReady() {
-        return super.awaitReady();
-    }
+}
 
-    getRepository(name) {
-        return GitHub.getRepositoryByName(this.login, name);
-    }
+/**
+ * Thrown when the API cannot be reached at all, or its response is unreadable.
+ */
+class NetworkError extends GitHubError {
 
-    getGist(id) {
-        return GitHub.getGist(id);
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
     }
 
-    async getEvents(amount) {
-        await this.awaitReady();
-        if (amount > 100) {
-            let array = [], page = 0;
-            while (amount > 0) {
-                amount -= 100;
-                array.push(GitHub.createEvent(await request(this.url + '/events', {per_page: 100, page: ++page})));
-            }
-            return array;
-        } else return GitHub.createEvent(await request(this.url + '/events', {per_page: amount, page: 1}));
-    }
+}
 
-    async getEventsAfter(date) {
-        let current = new Date(), page = 0, check = 0;
-        const array = [];
-        do {
-            page++;
-            check = array.length;
-            for (let event of (await this.getEventsByPage(page, 30))) {
-                current = new Date(event.created_at);
-                if (current.getTime() > date.getTime()) array.push(event);
-                // else break;
-            }
-        } while (array.length > check && current.getTime() > date.getTime());
-        return array;
-    }
+/**
+ * Thrown when a request is refused by the rate limit (or would be) and the client is not allowed to wait for it.
+ */
+class RateLimitError extends GitHubError {
+    resource;
+    limit;
+    remaining;
+    reset;
+    retry_after;
+    secondary;
 
-    async getEventsByPage(page = 1, per_page = 20) {
-        await this.awaitReady();
-        return GitHub.createEvent(await request(this.url + '/events', {
-            per_page: Math.max(0, Math.min(100, per_page)),
-            page: Math.max(1, page)
-        }));
+    constructor(message, {resource = 'core', limit, remaining, reset, retry_after, secondary = false, ...options} = {}) {
+        super(message, {status: 403, ...options});
+        this.name = 'RateLimitError';
+        this.resource = resource;
+        this.limit = limit;
+        this.remaining = remaining;
+        this.reset = reset;
+        this.retry_after = retry_after;
+        this.secondary = secondary;
     }
 
-    async getOrganisations() {
-        await this.awaitReady();
-        if (this._organisations) return await this._organisations;
-        try {
-            this._organisations = new Promise(async resolve => {
-                const data = await request(this.organizations_url), array = [];
-                for (let org in data) array.push(GitHub.getOrganisation(org.id))
-                resolve(array);
-            });
-            return await this._organisations;
-        } catch (error) {
-            return [];
-        }
+}
+
+/**
+ * Thrown when a GraphQL query has errors. GraphQL responses may still have data for the parts that worked,
+ * which is kept in `data`, and the errors (each with a `message`, `type` and `path`) are in `errors`.
+ */
+class GraphQLError extends GitHubError {
+    data;
+
+    constructor(message, {data = null, ...options} = {}) {
+        super(message, options);
+        this.name = 'GraphQLError';
+        this.data = data;
     }
 
-    async getRepositories() {
-        await this.awaitReady();
-        try {
-            if (this._repositories != null) return await this._repositories;
-            this._repositories = new Promise(async resolve => {
-                const list = await request(this['repos_url']);
-                const array = [];
-                for (let repo of list) array.push(GitHub.createRepository(repo));
-                resolve(array);
-            });
-            return await this._repositories;
-        } catch (error) {
-            console.log(error);
-            return [];
+}
+
+/**
+ * The state of a `Git` object that belongs to this session and is never serialised.
+ */
+const internalFields = ['resolved', '_resolved', '_promise', '_request', '_github', '_error', '_buffer'];
+
+/**
+ * Converts objects (and anything they have loaded) into plain JSON data.
+ * Each model object is given its `_type` and an `_id`, and any further appearances of it become a `{_ref}`,
+ * so that objects which refer to each other (e.g. a user's repositories and their owner) can be rebuilt.
+ * @param value The value.
+ * @param seen The `_id` of every object serialised so far.
+ * @returns {*} The data.
+ */
+function serialiseModel(value, seen = new Map()) {
+    if (Array.isArray(value)) return value.map(item => serialiseModel(item, seen));
+    if (value instanceof Git) {
+        if (seen.has(value)) return {_ref: seen.get(value)};
+        seen.set(value, seen.size);
+        const json = {_type: Object.keys(modelTypes).find(name => modelTypes[name] === value.constructor) || 'Git', _id: seen.get(value)};
+        for (const key of Object.keys(value)) {
+            const field = value[key];
+            if (internalFields.includes(key) || field === undefined || typeof field === 'function') continue;
+            if (field && typeof field.then === 'function') continue;
+            json[key] = serialiseModel(field, seen);
         }
+        return json;
+    }
+    if (value != null && Object.getPrototypeOf(value) === Object.prototype) {
+        const object = {};
+        for (const key in value) object[key] = serialiseModel(value[key], seen);
+        return object;
     }
+    return value;
+}
 
-    async getGists() {
-        await this.awaitReady();
+/**
+ * An object from the GitHub API, subject to lazy loading.
+ * These objects are always present and almost never given via a promise, but their data may be unavailable at creation.
+ *
+ * Using `awaitReady` will guarantee their completion.
+ * This method needs to be run only once, but subsequent calls will return the same object.
+ */
+class Git {
+    _resolved = false;
+    _promise = null;
+    _request;
+    _github;
+    _error = null;
+
+    constructor(request, github = GitHub.default) {
+        this._github = github;
+        this._request = request;
+        this.awaitReady(request).then(() => this.resolved = true, error => this._error = error);
+    }
+
+    isReady() {
+        return (this.resolved || this._request == null);
+    }
+
+    async awaitReady() {
+        if (this.resolved || this._request == null) return this;
+        if (this._promise != null) return this._promise;
+        const source = this;
+        this._promise = Promise.resolve(this._request).then(data => Object.assign(source, data));
+        await this._promise;
+        delete this._promise;
+        return this;
+    }
+
+    /**
+     * Waits for this object to load, for methods that give nothing or an empty list instead of failing in `lenient` mode.
+     * @returns {Promise<boolean>} Whether it loaded. If it did not, the error has been thrown or logged according to `errors`.
+     */
+    async awaitLoaded() {
         try {
-            if (this._gists != null) return await this._gists;
-            this._gists = new Promise(async resolve => {
-                const list = await request(this.gists_url.substring(0, this.gists_url.length - 10));
-                const array = [];
-                for (let gist of list) array.push(GitHub.createGist(gist));
-                resolve(array);
-            });
-            return await this._gists;
+            await this.awaitReady();
+            return true;
         } catch (error) {
-            console.log(error);
-            return [];
+            this._github.handleError(error, null);
+            return false;
         }
+    }
 
+    /**
+     * The error this object failed to load with, such as a `NotFoundError`.
+     * @returns {null|GitHubError} The error, or nothing if it loaded (or is still loading).
+     */
+    getError() {
+        return this._error;
     }
 
-    async getLanguages() {
-        await this.awaitReady();
+    /**
+     * The client this object was created by. Any objects it creates or requests will use the same client.
+     * @returns {GitHub}
+     */
+    getClient() {
+        return this._github;
+    }
+
+    /**
+     * The data of this object, including anything it has finished loading (e.g. a user's repositories or a repository's owner),
+     * which can be rebuilt with `GitHub.hydrate` without requesting it again.
+     * @returns {{}}
+     */
+    toJSON() {
+        return serialiseModel(this);
+    }
+
+}
+
+/**
+ * A list from the GitHub API that may span several pages, which are followed using the `Link` header.
+ * This is lazy: pages are only requested as they are iterated.
+ *
+ * `for await (const repository of user.iterateRepositories()) ...`
+ */
+class Paginator {
+    _github;
+    url;
+    body;
+    map;
+    key;
+    accept;
+    options = {};
+
+    /**
+     * @param github The client to request the pages with.
+     * @param url The URL of the list, or a promise of it.
+     * @param body The request query, or nothing.
+     * @param map A function to convert each item.
+     * @param key The property holding the items, for lists that are wrapped in an object.
+     * @param accept The media type to request, for lists with more than one, or nothing.
+     */
+    constructor(github, url, body = {}, map = data => data, key = 'items', accept = null) {
+        this._github = github;
+        this.url = url;
+        this.body = body;
+        this.map = map;
+        this.key = key;
+        this.accept = accept;
+    }
+
+    /**
+     * Sets the priority of this list's requests, and a signal to stop requesting it with.
+     * @param priority The priority, e.g. `low` for prefetching.
+     * @param signal An `AbortSignal`.
+     * @returns {Paginator} This list.
+     */
+    schedule({priority, signal} = {}) {
+        this.options = {priority: priority, signal: signal};
+        return this;
+    }
+
+    /**
+     * Iterates the pages of this list.
+     * @param per_page The number of items to request per page.
+     */
+    async* pages(per_page = 100) {
+        let url, body = {per_page: per_page, ...this.body};
         try {
-            if (this._languages != null) return this._languages;
-            this._languages = new Promise(async resolve => {
-                const object = {};
-                for (let repository of await this.getRepositories()) {
-                    if (repository['fork']) continue;
-                    const languages = await repository.getLanguages();
-                    for (let key in languages) {
-                        if (object.hasOwnProperty(key)) object[key] += languages[key];
-                        else object[key] = languages[key];
-                    }
-                }
-                resolve(object);
-            });
-            return await this._languages;
+            url = await this.url;
         } catch (error) {
-            console.log(error);
-            return {};
+            // The object the list belongs to failed to load, so in `lenient` mode the list is empty.
+            this._github.handleError(error, null);
+            return;
+        }
+        while (url) {
+            const page = await this._github.requestPage(url, body, {...this.options, accept: this.accept});
+            yield this.read(page);
+            url = page.links.next;
+            body = null;
         }
     }
 
-    isOrganisation() {
-        return false;
+    /**
+     * Reads the items of a page.
+     * @param page The page, as given by `requestPage`.
+     * @returns {Array} The items, converted by `map`.
+     */
+    read(page) {
+        const list = Array.isArray(page.data) ? page.data : (page.data && page.data[this.key]) || [];
+        return list.map(item => this.map(item));
+    }
+
+    async* [Symbol.asyncIterator]() {
+        for await (const page of this.pages()) yield* page;
+    }
+
+    /**
+     * Requests every page of this list.
+     * @returns {Promise<Array>} All the items.
+     */
+    async all() {
+        const array = [];
+        for await (const page of this.pages()) array.push(...page);
+        return array;
+    }
+
+    /**
+     * Requests only as many pages as needed for the first items of this list.
+     * @param amount The number of items.
+     * @returns {Promise<Array>} Up to this many items.
+     */
+    async take(amount) {
+        const array = [];
+        if (amount <= 0) return array;
+        for await (const page of this.pages(Math.min(100, amount))) {
+            array.push(...page);
+            if (array.length >= amount) break;
+        }
+        return array.slice(0, amount);
     }
 
 }
 
 /**
- * An object representing an organisation.
- * This is also a user, although some user data may not be present.
- *
- * Organisations can be queried as a user.
+ * Formats a value for a search qualifier. Dates are given in ISO 8601, and values with spaces are quoted.
+ * @param value The value.
+ * @returns {string} The text for the query.
  */
-class Organisation extends User {
+function formatSearchValue(value) {
+    if (value instanceof Date) return value.toISOString().replace(/\.\d+Z$/, 'Z');
+    const text = value + '';
+    return /\s/.test(text) && !/^".*"$/.test(text) ? '"' + text + '"' : text;
+}
 
-    login;
-    id;
-    node_id;
-    url;
-    repos_url;
-    events_url;
-    hooks_url;
-    issues_url;
-    members_url;
-    public_members_url;
-    avatar_url;
-    description;
-    name;
-    company;
-    blog;
-    location;
-    email;
-    twitter_username;
-    is_verified;
-    has_organization_projects;
-    has_repository_projects;
-    public_repos;
-    public_gists;
-    followers;
-    following;
-    html_url;
-    created_at;
-    updated_at;
+/**
+ * Formats a range for a search qualifier such as `stars:`.
+ * @param min The lowest value, or a whole range (e.g. `>100` or `10..50`) if there is no highest.
+ * @param max The highest value, or nothing.
+ * @returns {string} The range, e.g. `10..50`, `>=10` or `<=50`.
+ */
+function formatSearchRange(min, max) {
+    if (max === undefined) return formatSearchValue(min);
+    if (min == null) return '<=' + formatSearchValue(max);
+    if (max == null) return '>=' + formatSearchValue(min);
+    return formatSearchValue(min) + '..' + formatSearchValue(max);
+}
+
+/**
+ * A search of GitHub, built up from text and qualifiers and then iterated like any other list.
+ * Only the first 1000 results of a search can be requested.
+ * Searches count against the `search` rate limit (or `code_search` for code), which is much lower but resets every minute.
+ *
+ * `client.search.repositories('plugin').topic('github-connect').stars('>100').sort('stars')`
+ */
+class SearchQuery extends Paginator {
     type;
-    display_name;
+    terms = [];
+    sort_field = null;
+    order = 'desc';
+    /**
+     * The number of results, once a page has been requested.
+     */
+    total_count = null;
+    /**
+     * Whether the search timed out before finding every result.
+     */
+    incomplete_results = false;
 
-    constructor(request) {
-        super(request);
+    /**
+     * @param github The client to search with.
+     * @param type What to search: `repositories`, `code`, `issues`, `users` or `commits`.
+     * @param map A function to convert each result into a model object.
+     * @param text Any text to search for.
+     */
+    constructor(github, type, map, text) {
+        super(github, '/search/' + type, {}, map);
+        this.type = type;
+        if (text) this.text(text);
     }
 
-    async awaitReady() {
-        return super.awaitReady();
+    /**
+     * Adds text to search for. Phrases should be quoted.
+     */
+    text(text) {
+        this.terms.push(text + '');
+        return this;
     }
 
-    async getOrganisations() {
-        return [];
+    /**
+     * Adds a qualifier, e.g. `qualifier('license', 'mit')` for `license:mit`.
+     * @param name The qualifier.
+     * @param value The value, or an array to add it for each value.
+     * @param negate Whether to exclude results that match, e.g. `-label:bug`.
+     */
+    qualifier(name, value, negate = false) {
+        if (value == null) return this;
+        if (Array.isArray(value)) {
+            for (const item of value) this.qualifier(name, item, negate);
+            return this;
+        }
+        this.terms.push((negate ? '-' : '') + name + ':' + formatSearchValue(value));
+        return this;
     }
 
-    async getMembers() {
-        await this.awaitReady();
-        try {
-            if (this._members) return await this._members;
-            return await (this._members = request(this.members_url.substring(0, this.members_url.length - 9)));
-        } catch (error) {
-            return [];
+    /**
+     * Excludes results that match a qualifier, e.g. `not('topic', 'deprecated')`.
+     */
+    not(name, value) {
+        return this.qualifier(name, value, true);
+    }
+
+    /**
+     * Adds a range qualifier, e.g. `range('stars', 10, 50)` for `stars:10..50`.
+     * @param name The qualifier.
+     * @param min The lowest value, or a whole range (e.g. `>100`) if there is no highest.
+     * @param max The highest value.
+     */
+    range(name, min, max) {
+        if (min == null && max == null) return this;
+        this.terms.push(name + ':' + formatSearchRange(min, max));
+        return this;
+    }
+
+    /**
+     * Which fields the text is searched in, e.g. `in('name', 'description')`.
+     */
+    in(...fields) {
+        return this.qualifier('in', fields.join(','));
+    }
+
+    language(language) {
+        return this.qualifier('language', language);
+    }
+
+    user(login) {
+        return this.qualifier('user', login);
+    }
+
+    org(login) {
+        return this.qualifier('org', login);
+    }
+
+    repo(full_name) {
+        return this.qualifier('repo', full_name);
+    }
+
+    topic(topic) {
+        return this.qualifier('topic', topic);
+    }
+
+    license(license) {
+        return this.qualifier('license', license);
+    }
+
+    /**
+     * Adds an `is:` qualifier, e.g. `is('public')` or `is('pr')`.
+     */
+    is(value) {
+        return this.qualifier('is', value);
+    }
+
+    state(state) {
+        return this.qualifier('state', state);
+    }
+
+    label(label) {
+        return this.qualifier('label', label);
+    }
+
+    author(login) {
+        return this.qualifier('author', login);
+    }
+
+    assignee(login) {
+        return this.qualifier('assignee', login);
+    }
+
+    path(path) {
+        return this.qualifier('path', path);
+    }
+
+    extension(extension) {
+        return this.qualifier('extension', extension);
+    }
+
+    filename(filename) {
+        return this.qualifier('filename', filename);
+    }
+
+    fork(fork = true) {
+        return this.qualifier('fork', fork);
+    }
+
+    archived(archived = true) {
+        return this.qualifier('archived', archived);
+    }
+
+    stars(min, max) {
+        return this.range('stars', min, max);
+    }
+
+    forks(min, max) {
+        return this.range('forks', min, max);
+    }
+
+    size(min, max) {
+        return this.range('size', min, max);
+    }
+
+    followers(min, max) {
+        return this.range('followers', min, max);
+    }
+
+    created(min, max) {
+        return this.range('created', min, max);
+    }
+
+    updated(min, max) {
+        return this.range('updated', min, max);
+    }
+
+    pushed(min, max) {
+        return this.range('pushed', min, max);
+    }
+
+    /**
+     * Sorts the results rather than ordering them by best match.
+     * @param field The field, e.g. `stars`, `forks`, `updated`, `comments` or `followers`.
+     * @param order Either `desc` or `asc`.
+     */
+    sort(field, order = 'desc') {
+        this.sort_field = field;
+        this.order = order;
+        return this;
+    }
+
+    /**
+     * The query, as it would be typed into GitHub's search.
+     * @returns {string}
+     */
+    toString() {
+        return this.terms.join(' ');
+    }
+
+    /**
+     * The request query for this search.
+     * @returns {{}}
+     */
+    getQuery() {
+        const query = {q: this.toString()};
+        if (this.sort_field) {
+            query.sort = this.sort_field;
+            query.order = this.order;
         }
+        return query;
     }
 
-    isOrganisation() {
-        return true;
+    async* pages(per_page = 100) {
+        this.body = this.getQuery();
+        yield* super.pages(per_page);
+    }
+
+    read(page) {
+        if (page.data) {
+            this.total_count = page.data.total_count;
+            this.incomplete_results = !!page.data.incomplete_results;
+        }
+        return super.read(page);
+    }
+
+    /**
+     * The number of results, requesting a single result to find it out if no page has been requested yet.
+     * @returns {Promise<number>}
+     */
+    async getTotalCount() {
+        if (this.total_count == null) this.read(await this._github.requestPage(this.url, {...this.getQuery(), per_page: 1}, this.options));
+        return this.total_count || 0;
     }
 
 }
 
 /**
- * An object representing a repository.
- */
-class Repository extends Git {
+ * A file. This is used both for files in repositories and in gists and other places.
+ * Not all the fields may be fulfilled.
+ * The methods aim to provide reliable information from any file type.
+ */
+class File extends Git {
+    // GIST
+    filename;
+    type;
+    language;
+    raw_url;
+    size;
+    // REPO
+    name;
+    path;
+    sha;
+    url;
+    html_url;
+    git_url;
+    download_url;
+    content;
+    encoding;
+    truncated;
+    lfs;
+    // DIFF
+    status;
+    additions;
+    deletions;
+    changes;
+    patch;
+    blob_url;
+    contents_url;
+    previous_filename;
 
-    id;
-    node_id;
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getName() {
+        await this.awaitReady();
+        return this.filename || this.name;
+    }
+
+    async getRawURL() {
+        await this.awaitReady();
+        return this.raw_url || this.download_url;
+    }
+
+    /**
+     * The content of this file as text.
+     * @returns {Promise<null|string>} The content, or nothing if it could not be requested.
+     */
+    async getContent() {
+        return this.text();
+    }
+
+    /**
+     * The content of this file, decoded as UTF-8.
+     * @returns {Promise<null|string>} The text, or nothing if it could not be requested.
+     */
+    async text() {
+        const buffer = await this.arrayBuffer();
+        return buffer ? new TextDecoder().decode(buffer) : null;
+    }
+
+    /**
+     * The content of this file, parsed as JSON.
+     * @returns {Promise<null|*>} The data, or nothing if the content could not be requested.
+     */
+    async json() {
+        const text = await this.text();
+        return text == null ? null : JSON.parse(text);
+    }
+
+    /**
+     * The content of this file, as a blob of its MIME type (see `getMimeType`), e.g. to show an image with `URL.createObjectURL`.
+     * @returns {Promise<null|Blob>} The blob, or nothing if the content could not be requested.
+     */
+    async blob() {
+        const buffer = await this.arrayBuffer();
+        return buffer ? new Blob([buffer], {type: this.getMimeType()}) : null;
+    }
+
+    /**
+     * The bytes of this file.
+     * Content the API left out (because the file is large, or came from a list) is requested from the blobs API,
+     * or otherwise from the raw URL. A Git LFS pointer is replaced with the file it points to, which is described by `lfs`.
+     * @returns {Promise<null|ArrayBuffer>} The bytes, or nothing if they could not be requested.
+     */
+    async arrayBuffer() {
+        try {
+            await this.awaitReady();
+            if (this._buffer == null) this._buffer = this.loadContent();
+            const buffer = this._buffer = await this._buffer;
+            if (buffer == null) delete this._buffer;
+            return buffer ? buffer.slice(0) : null;
+        } catch (error) {
+            delete this._buffer;
+            return this._github.handleError(error, null);
+        }
+    }
+
+    /**
+     * Requests the bytes of this file, following a Git LFS pointer.
+     * @returns {Promise<null|ArrayBuffer>}
+     */
+    async loadContent() {
+        let bytes = null;
+        const usable = this.content != null && !this.truncated && this.encoding !== 'none' && (this.content !== '' || this.size === 0);
+        if (usable) bytes = this.encoding === 'base64' ? decodeBase64(this.content) : new TextEncoder().encode(this.content);
+        const blob_url = this.type === 'blob' ? this.url : this.git_url;
+        if (bytes == null && blob_url) {
+            const blob = await this._github.request(blob_url);
+            if (blob && blob.content != null) bytes = blob.encoding === 'base64' ? decodeBase64(blob.content) : new TextEncoder().encode(blob.content);
+        }
+        if (bytes == null) {
+            const response = await this._github.requestRaw(await this.getRawURL());
+            if (response) bytes = new Uint8Array(await response.arrayBuffer());
+        }
+        if (bytes == null) return null;
+        const pointer = parseLfsPointer(bytes);
+        if (pointer) {
+            const url = this.getLfsURL();
+            if (!url) throw new GitHubError((this.path || this.name) + ' is stored in Git LFS, but its repository and ref are not known, so only its pointer could be read');
+            this.lfs = pointer;
+            const response = await this._github.requestRaw(url);
+            return response ? response.arrayBuffer() : null;
+        }
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+
+    /**
+     * The URL that Git LFS files are served from in place of their pointers, which works across origins on github.com.
+     * Files listed from trees are given an `html_url` from the repository and ref they were listed at, so this works for them too.
+     * @returns {null|string} The URL, or nothing if the file's repository and ref are not known.
+     */
+    getLfsURL() {
+        const raw = this.download_url && this.download_url.match(/^https:\/\/raw\.githubusercontent\.com\/([^?]+)/);
+        if (raw) return 'https://media.githubusercontent.com/media/' + raw[1];
+        const page = this.html_url && this.html_url.match(/^https:\/\/github\.com\/([^/]+\/[^/]+)\/blob\/([^?#]+)/);
+        return page ? 'https://media.githubusercontent.com/media/' + page[1] + '/' + page[2] : null;
+    }
+
+    /**
+     * Guesses the MIME type of this file. Gist files are given theirs by the API.
+     * @returns {string} The MIME type, e.g. `image/png`, or `application/octet-stream` if it is not known.
+     */
+    getMimeType() {
+        if (this.filename && this.type && this.type.includes('/')) return this.type;
+        return getMimeType(this.filename || this.name || this.path, this.language);
+    }
+
+    async isFromGist() {
+        return !!this.filename;
+    }
+
+    async isFromRepository() {
+        return !!this.name;
+    }
+
+    isDirectory() {
+        return false;
+    }
+
+}
+
+/**
+ * A directory in a repository, from either the contents or the trees API.
+ * Its entries are requested when first listed, unless they came with a recursive tree.
+ */
+class Directory extends Git {
     name;
-    full_name;
-    private;
-    owner = {};
+    path;
+    sha;
+    url;
     html_url;
-    description;
-    fork;
+    git_url;
+    type = 'dir';
+    _entries;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    /**
+     * Lists the files and directories directly inside this directory.
+     * @param glob A pattern the paths (from the repository root) must match, e.g. `docs/*.md`
+     * @returns {Promise<(File|Directory)[]>}
+     */
+    async list({glob} = {}) {
+        if (!(await this.awaitLoaded())) return [];
+        if (this._entries == null) this._entries = this._github.request(this.url, null).then(data => {
+            if (Array.isArray(data)) return this._github.createEntries(data);
+            return this._github.createEntries((data && data.tree) || [], this.path, this.html_url);
+        });
+        const entries = this._entries = await this._entries;
+        if (!glob) return entries;
+        const pattern = globToRegExp(glob);
+        return entries.filter(entry => pattern.test(entry.path));
+    }
+
+    /**
+     * Iterates everything inside this directory and its sub-directories, parents before their contents.
+     * @param glob A pattern the paths (from the repository root) must match, e.g. `docs/**\/*.md`
+     */
+    async* walk({glob} = {}) {
+        const pattern = glob ? globToRegExp(glob) : null;
+        for (const entry of await this.list()) {
+            if (!pattern || pattern.test(entry.path)) yield entry;
+            if (entry instanceof Directory) yield* entry.walk({glob: glob});
+        }
+    }
+
+    /**
+     * Finds an entry by its path relative to this directory.
+     * @param path The path, e.g. `guide/index.md`
+     * @returns {Promise<null|File|Directory>} The entry, or nothing if there is none.
+     */
+    async getEntry(path) {
+        let entry = this;
+        for (const name of path.split('/').filter(name => name)) {
+            if (!(entry instanceof Directory)) return null;
+            entry = (await entry.list()).find(child => child.name === name) || null;
+            if (!entry) return null;
+        }
+        return entry;
+    }
+
+    async getFile(path) {
+        const entry = await this.getEntry(path);
+        return entry instanceof File ? entry : null;
+    }
+
+    async getDirectory(path) {
+        const entry = await this.getEntry(path);
+        return entry instanceof Directory ? entry : null;
+    }
+
+    isDirectory() {
+        return true;
+    }
+
+}
+
+/**
+ * Reads exact numbers of bytes from a stream, keeping only what has arrived and not yet been read.
+ */
+class StreamReader {
+    _reader;
+    _chunks = [];
+    _length = 0;
+    _done = false;
+
+    /**
+     * @param stream A `ReadableStream` of bytes.
+     */
+    constructor(stream) {
+        this._reader = stream.getReader();
+    }
+
+    /**
+     * The next bytes that have arrived, however many there are.
+     * @returns {Promise<null|Uint8Array>} The bytes, or nothing at the end of the stream.
+     */
+    async next() {
+        if (this._chunks.length) {
+            this._length -= this._chunks[0].length;
+            return this._chunks.shift();
+        }
+        if (this._done) return null;
+        const {done, value} = await this._reader.read();
+        if (done) this._done = true;
+        return done ? null : value;
+    }
+
+    /**
+     * Reads a number of bytes, waiting for them to arrive.
+     * @param length The number of bytes.
+     * @returns {Promise<Uint8Array>} The bytes, which are fewer at the end of the stream.
+     */
+    async read(length) {
+        while (this._length < length && !this._done) {
+            const {done, value} = await this._reader.read();
+            if (done) this._done = true;
+            else this.unread(value, true);
+        }
+        const bytes = new Uint8Array(Math.min(length, this._length));
+        for (let offset = 0; offset < bytes.length;) {
+            const chunk = this._chunks[0], take = Math.min(chunk.length, bytes.length - offset);
+            bytes.set(chunk.subarray(0, take), offset);
+            if (take === chunk.length) this._chunks.shift();
+            else this._chunks[0] = chunk.subarray(take);
+            offset += take;
+        }
+        this._length -= bytes.length;
+        return bytes;
+    }
+
+    /**
+     * Skips a number of bytes without keeping them.
+     * @param length The number of bytes.
+     */
+    async skip(length) {
+        while (length > 0) {
+            const bytes = await this.read(Math.min(length, 0x100000));
+            if (!bytes.length) return;
+            length -= bytes.length;
+        }
+    }
+
+    /**
+     * Puts bytes back to be read again.
+     * @param bytes The bytes.
+     * @param end Whether they go after what is waiting to be read, rather than before it.
+     */
+    unread(bytes, end = false) {
+        if (!bytes.length) return;
+        if (end) this._chunks.push(bytes);
+        else this._chunks.unshift(bytes);
+        this._length += bytes.length;
+    }
+
+    async cancel() {
+        await this._reader.cancel();
+    }
+
+}
+
+/**
+ * Inflates raw DEFLATE data, as in a zip archive.
+ * @param bytes The compressed bytes.
+ * @returns {Promise<Uint8Array>} The bytes.
+ */
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the entries of a tar archive as it streams in. Each entry's content is only read if asked for, and is skipped otherwise.
+ * This understands the ustar, pax and GNU long name extensions that `git archive` and GitHub use.
+ * @param reader The `StreamReader` of the (decompressed) archive.
+ */
+async function* readTar(reader) {
+    const decoder = new TextDecoder();
+    let extended = {};
+    while (true) {
+        const header = await reader.read(512);
+        if (header.length < 512 || header.every(byte => byte === 0)) return;
+        const field = (start, length) => {
+            const bytes = header.subarray(start, start + length), end = bytes.indexOf(0);
+            return decoder.decode(end >= 0 ? bytes.subarray(0, end) : bytes);
+        };
+        const type = header[156] ? String.fromCharCode(header[156]) : '0';
+        const size = extended.size != null ? Number(extended.size) : parseInt(field(124, 12).trim() || '0', 8);
+        const padded = Math.ceil(size / 512) * 512;
+        if (type === 'x' || type === 'g' || type === 'L') {
+            const data = (await reader.read(padded)).subarray(0, size);
+            if (type === 'L') extended.path = decoder.decode(data).replace(/\0+$/, '');
+            // pax records are "<length> <key>=<value>\n", where the length is in bytes.
+            if (type === 'x') for (let offset = 0; offset < data.length;) {
+                const space = data.indexOf(32, offset), length = parseInt(decoder.decode(data.subarray(offset, space)), 10);
+                if (space < 0 || !length) break;
+                const record = decoder.decode(data.subarray(space + 1, offset + length - 1)), equals = record.indexOf('=');
+                extended[record.substring(0, equals)] = record.substring(equals + 1);
+                offset += length;
+            }
+            continue;
+        }
+        const prefix = field(257, 5) === 'ustar' ? field(345, 155) : '';
+        const path = extended.path || (prefix ? prefix + '/' : '') + field(0, 100);
+        const target = extended.linkpath || field(157, 100);
+        extended = {};
+        let read = false;
+        yield {
+            path: path,
+            type: type === '5' ? 'dir' : type === '0' || type === '7' ? 'file' : type === '2' ? 'symlink' : 'other',
+            size: size,
+            target: target,
+            read: async () => {
+                read = true;
+                return (await reader.read(padded)).subarray(0, size);
+            }
+        };
+        if (!read) await reader.skip(padded);
+    }
+}
+
+/**
+ * Reads the entries of a zip archive as it streams in, from their local headers rather than the central directory at the end.
+ * Entries whose sizes come after their data (in a data descriptor) are read up to the descriptor that matches.
+ * @param reader The `StreamReader` of the archive.
+ */
+async function* readZip(reader) {
+    const decoder = new TextDecoder();
+    while (true) {
+        const header = await reader.read(30);
+        if (header.length < 30) return;
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        // Anything other than a local file header is the central directory, after the last entry.
+        if (view.getUint32(0, true) !== 0x04034b50) return;
+        const flags = view.getUint16(6, true), method = view.getUint16(8, true);
+        let compressed = view.getUint32(18, true), size = view.getUint32(22, true);
+        const path = decoder.decode(await reader.read(view.getUint16(26, true)));
+        const extra = await reader.read(view.getUint16(28, true)), extras = new DataView(extra.buffer, extra.byteOffset, extra.byteLength);
+        for (let offset = 0; offset + 4 <= extra.length; offset += 4 + extras.getUint16(offset + 2, true)) {
+            if (extras.getUint16(offset, true) !== 0x0001) continue;
+            // zip64 sizes, for entries of 4 GB or more, which are only given for the sizes that did not fit.
+            let field = offset + 4;
+            if (size === 0xffffffff) {
+                size = Number(extras.getBigUint64(field, true));
+                field += 8;
+            }
+            if (compressed === 0xffffffff) compressed = Number(extras.getBigUint64(field, true));
+        }
+        if (method !== 0 && method !== 8) throw new NetworkError('Unsupported compression method ' + method + ' for ' + path + ' in zip archive');
+        const described = (flags & 8) !== 0;
+        const data = described ? () => readDescribed(reader) : () => reader.read(compressed);
+        let read = false;
+        const entry = {
+            path: path,
+            type: path.endsWith('/') ? 'dir' : 'file',
+            size: size,
+            read: async () => {
+                read = true;
+                const bytes = method === 8 ? await inflateRaw(await data()) : await data();
+                entry.size = bytes.length;
+                return bytes;
+            }
+        };
+        yield entry;
+        if (!read) await (described ? readDescribed(reader) : reader.skip(compressed));
+    }
+}
+
+/**
+ * Reads the data of a zip entry whose sizes are in a data descriptor after it, up to the descriptor.
+ * The descriptor is found by its signature, followed by the size of the data read before it.
+ * @param reader The `StreamReader` of the archive.
+ * @returns {Promise<Uint8Array>} The (compressed) data.
+ */
+async function readDescribed(reader) {
+    let buffer = new Uint8Array(0x10000), length = 0, searched = 0;
+    while (true) {
+        const view = new DataView(buffer.buffer, 0, length);
+        for (; searched + 16 <= length; searched++) {
+            if (view.getUint32(searched, true) !== 0x08074b50 || view.getUint32(searched + 8, true) !== searched) continue;
+            reader.unread(buffer.slice(searched + 16, length));
+            return buffer.slice(0, searched);
+        }
+        const chunk = await reader.next();
+        if (!chunk) throw new NetworkError('Unexpected end of zip archive');
+        if (length + chunk.length > buffer.length) {
+            const grown = new Uint8Array(Math.max(buffer.length * 2, length + chunk.length));
+            grown.set(buffer.subarray(0, length));
+            buffer = grown;
+        }
+        buffer.set(chunk, length);
+        length += chunk.length;
+    }
+}
+
+/**
+ * A repository archive (a `zipball` or `tarball`), read as it downloads.
+ * Its entries are `File` and `Directory` objects with paths from the repository root, without the archive's top directory.
+ *
+ * Iterating the entries keeps only the current file in memory, so the archive can be read only once.
+ * `getTree` keeps every file instead, as a directory tree that can be listed, walked and read like the repository's.
+ */
+class Archive {
+    _github;
+    response;
+    format;
+    /**
+     * The top directory the archive's entries are in, e.g. `octocat-hello-world-7fd1a60`, once the first entry has been read.
+     */
+    prefix = null;
+    _started = false;
+
+    /**
+     * @param github The client to create the entries with.
+     * @param response The response of the download.
+     * @param format `zipball` or `tarball`.
+     */
+    constructor(github, response, format) {
+        this._github = github;
+        this.response = response;
+        this.format = format;
+    }
+
+    /**
+     * Iterates the entries of this archive as they arrive, parents before their contents.
+     * Each file's content is read before it is given, and can be read with `text`, `arrayBuffer`, `blob` and so on.
+     * @param glob A pattern the file paths must match, e.g. `docs/**\/*.md`. Directories are left out when this is given.
+     */
+    async* entries({glob} = {}) {
+        if (this._started) throw new Error('The archive has already been read');
+        this._started = true;
+        const pattern = glob ? globToRegExp(glob) : null;
+        const stream = this.format === 'zipball' ? this.response.body : this.response.body.pipeThrough(new DecompressionStream('gzip'));
+        const reader = new StreamReader(stream);
+        try {
+            for await (const entry of (this.format === 'zipball' ? readZip : readTar)(reader)) {
+                if (entry.type === 'other') continue;
+                const parts = entry.path.split('/').filter(part => part);
+                if (this.prefix == null) this.prefix = parts[0];
+                const path = parts.slice(1).join('/'), name = parts[parts.length - 1];
+                if (!path || (pattern && (entry.type === 'dir' || !pattern.test(path)))) continue;
+                if (entry.type === 'dir') {
+                    const directory = this._github.createDirectory({name: name, path: path});
+                    directory._entries = [];
+                    yield directory;
+                    continue;
+                }
+                const bytes = entry.type === 'symlink' ? new TextEncoder().encode(entry.target) : await entry.read();
+                const data = {name: name, path: path, size: bytes.length, type: entry.type};
+                if (entry.type === 'symlink') data.target = entry.target;
+                const file = this._github.createFile(data);
+                file._buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+                yield file;
+            }
+        } finally {
+            await reader.cancel().catch(() => null);
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Reads the whole archive into a directory tree.
+     * @returns {Promise<Directory>} The root directory of the repository.
+     */
+    async getTree() {
+        const root = this._github.createDirectory({name: '', path: ''}), directories = new Map([['', root]]);
+        root._entries = [];
+        const getDirectory = path => {
+            if (!directories.has(path)) {
+                const directory = this._github.createDirectory({name: path.substring(path.lastIndexOf('/') + 1), path: path});
+                directory._entries = [];
+                directories.set(path, directory);
+                getDirectory(path.substring(0, Math.max(0, path.lastIndexOf('/'))))._entries.push(directory);
+            }
+            return directories.get(path);
+        };
+        for await (const entry of this.entries()) {
+            const parent = getDirectory(entry.path.substring(0, Math.max(0, entry.path.lastIndexOf('/'))));
+            if (entry instanceof Directory) {
+                if (!directories.has(entry.path)) {
+                    directories.set(entry.path, entry);
+                    parent._entries.push(entry);
+                }
+            } else parent._entries.push(entry);
+        }
+        return root;
+    }
+
+    /**
+     * Stops downloading this archive.
+     */
+    async cancel() {
+        if (!this._started && this.response.body) await this.response.body.cancel();
+    }
+
+}
+
+/**
+ * An object representing a gist.
+ */
+class Gist extends Git {
     url;
     forks_url;
-    keys_url;
-    collaborators_url;
-    teams_url;
-    hooks_url;
-    issue_events_url;
-    events_url;
-    assignees_url;
-    branches_url;
-    tags_url;
-    blobs_url;
-    git_tags_url;
-    git_refs_url;
-    trees_url;
-    statuses_url;
-    languages_url;
-    stargazers_url;
-    contributors_url;
-    subscribers_url;
-    subscription_url;
     commits_url;
-    git_commits_url;
-    comments_url;
-    issue_comment_url;
-    contents_url;
-    compare_url;
-    merges_url;
-    archive_url;
-    downloads_url;
-    issues_url;
-    pulls_url;
-    milestones_url;
-    notifications_url;
-    labels_url;
-    releases_url;
-    deployments_url;
+    id;
+    node_id;
+    git_pull_url;
+    git_push_url;
+    html_url;
+    public;
     created_at;
     updated_at;
-    pushed_at;
-    git_url;
-    ssh_url;
-    clone_url;
-    svn_url;
-    mirror_url;
-    homepage;
-    size;
-    stargazers_count;
-    watchers_count;
-    language;
-    has_issues;
-    has_projects;
-    has_downloads;
-    has_wiki;
-    has_pages;
-    archived;
-    disabled;
-    forks_count;
-    open_issues_count;
-    license = {};
-    allow_forking;
-    is_template;
-    topics = [];
-    visibility;
-    forks;
-    open_issues;
-    watchers;
-    default_branch;
-    temp_clone_token;
-    network_count;
-    subscribers_count;
+    description;
+    comments;
+    user;
+    comments_url;
+    owner = {};
+    files = {};
+    truncated;
+    forks = [];
+    history = [];
+    // REVISION
+    version;
+    committed_at;
+    change_status = {};
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getOwner() {
+        await this.awaitReady();
+        if (this._owner) return this._owner;
+        return this._owner = await this._github.getUserByName(this['owner'].login).awaitReady();
+    }
+
+    async getFile(name) {
+        if (!(await this.awaitLoaded())) return null;
+        if (!Object.keys(this.files).length) await this.loadDetails();
+        if (this._files) {
+            for (let file of this._files) if (file.filename === name) return file;
+            return null;
+        } else return this.files[name] ? this._github.createFile(this.files[name]) : null;
+    }
+
+    async getFiles() {
+        if (!(await this.awaitLoaded())) return [];
+        if (!Object.keys(this.files).length) await this.loadDetails();
+        if (this._files) return this._files;
+        const array = [];
+        for (let key in this.files) array.push(this._github.createFile(this.files[key]));
+        return this._files = array;
+    }
+
+    async getFileNames() {
+        if (!(await this.awaitLoaded())) return [];
+        if (!Object.keys(this.files).length) await this.loadDetails();
+        return Object.keys(this.files);
+    }
+
+    /**
+     * Requests the full gist (or revision) if this one came from a list, which leaves out the files' content and the history.
+     */
+    async loadDetails() {
+        await this.awaitReady();
+        const files = Object.values(this.files);
+        if (files.length && files.every(file => file.content != null) && this.history.length) return this;
+        if (!this._details) this._details = this._github.request(this.url).then(data => {
+            if (data) delete this._files;
+            return Object.assign(this, data);
+        });
+        await this._details;
+        return this;
+    }
+
+    /**
+     * The revision this gist is at.
+     * @returns {null|string} The revision's version, or nothing if it is not known.
+     */
+    getVersion() {
+        return this.version || (this.history.length ? this.history[0].version : null);
+    }
+
+    iterateRevisions() {
+        return this._github.paginate(this.awaitReady().then(() => this.commits_url), {}, data => this._github.createObject(Gist, {
+            ...data,
+            id: this.id,
+            node_id: this.node_id,
+            html_url: this.html_url + '/' + data.version,
+            forks_url: this.forks_url,
+            commits_url: this.commits_url,
+            comments_url: this.comments_url,
+            description: this.description,
+            public: this.public,
+            owner: this.owner,
+            files: {}
+        }));
+    }
+
+    /**
+     * The revisions of this gist, newest first.
+     * These are snapshots of the gist, which request their files when they are needed.
+     * @returns {Promise<Gist[]>}
+     */
+    async getRevisions() {
+        return this.iterateRevisions().all();
+    }
+
+    /**
+     * Gets this gist as it was at a revision.
+     * @param sha The revision's version.
+     * @returns {Promise<Gist>} The snapshot.
+     */
+    async getRevision(sha) {
+        await this.awaitReady();
+        const revision = await this._github.getGist(this.id + '/' + sha).awaitReady();
+        if (!revision.version) revision.version = sha;
+        return revision;
+    }
+
+    /**
+     * The changes made to each file in this revision (or the latest one), compared with the revision before it.
+     * Each is a `File` with its `status` (`added`, `removed`, `modified` or `renamed`), line counts and `patch`.
+     * @returns {Promise<File[]>}
+     */
+    async getChanges() {
+        if (!(await this.awaitLoaded())) return [];
+        await this.loadDetails();
+        const index = this.history.findIndex(entry => entry.version === this.getVersion());
+        const previous = index >= 0 && this.history[index + 1] ? await this.getRevision(this.history[index + 1].version) : null;
+        const before = previous ? previous.files : {}, after = this.files;
+        const names = [...new Set([...Object.keys(before), ...Object.keys(after)])], old = {}, current = {};
+        const read = async file => file.truncated || file.content == null
+            ? await this._github.requestRaw(file.raw_url).then(response => response ? response.text() : '')
+            : file.content;
+        await Promise.all(names.map(async name => {
+            if (before[name]) old[name] = await read(before[name]);
+            if (after[name]) current[name] = await read(after[name]);
+        }));
+        const renamed = {};
+        for (const name in after) {
+            if (name in before) continue;
+            const source = Object.keys(before).find(other => !(other in after) && !Object.values(renamed).includes(other) && old[other] === current[name]);
+            if (source) renamed[name] = source;
+        }
+        const changes = [];
+        for (const name of names) {
+            if (Object.values(renamed).includes(name)) continue;
+            const from = renamed[name] ? old[renamed[name]] : old[name], to = current[name];
+            let status;
+            if (renamed[name]) status = 'renamed';
+            else if (!(name in before)) status = 'added';
+            else if (!(name in after)) status = 'removed';
+            else if (from !== to) status = 'modified';
+            else continue;
+            const diff = diffLines(from || '', to || '');
+            changes.push(this._github.createFile({
+                ...(after[name] || before[name]),
+                status: status,
+                additions: diff.additions,
+                deletions: diff.deletions,
+                changes: diff.additions + diff.deletions,
+                patch: diff.patch,
+                previous_filename: renamed[name]
+            }));
+        }
+        return changes;
+    }
+
+    iterateForks() {
+        return this._github.paginate(this.awaitReady().then(() => this.forks_url), {}, this._github.createGist);
+    }
+
+    async getForks() {
+        return this.iterateForks().all();
+    }
+
+    /**
+     * The comments on this gist, whose authors are built from the comments rather than requested one by one.
+     */
+    iterateComments() {
+        return this._github.paginate(this.awaitReady().then(() => this.comments_url), {}, data => {
+            const comment = this._github.createComment(data);
+            if (data.user) comment._author = this._github.createUser(data.user);
+            return comment;
+        });
+    }
+
+    async getComments() {
+        return this.iterateComments().all();
+    }
+
+    /**
+     * Edits this gist. Files given as `null` are deleted, and files can be renamed with `{filename, content}`.
+     * @param description The new description, or nothing to keep it.
+     * @param files The files to change by name, as strings or `{content}` objects.
+     * @returns {Promise<Gist>} This gist, with the new data.
+     */
+    async update({description, files} = {}) {
+        await this.awaitReady();
+        const data = await this._github.write('PATCH', this.url, {description: description, files: normaliseGistFiles(files)});
+        if (!data) return this;
+        this.files = {};
+        Object.assign(this, data);
+        delete this._files;
+        return this;
+    }
+
+    async delete() {
+        await this.awaitReady();
+        const deleted = (await this._github.write('DELETE', this.url)) != null;
+        if (deleted) await this._github.cache.invalidate(this);
+        return deleted;
+    }
+
+    async star() {
+        await this.awaitReady();
+        return (await this._github.write('PUT', this.url + '/star')) != null;
+    }
+
+    async unstar() {
+        await this.awaitReady();
+        return (await this._github.write('DELETE', this.url + '/star')) != null;
+    }
+
+    /**
+     * Whether the client's user has starred this gist, which needs the client to have a token.
+     * @returns {Promise<boolean>}
+     */
+    async isStarred() {
+        if (!(await this.awaitLoaded())) return false;
+        const response = await this._github.requestRaw(this.url + '/star', {}, {optional: true});
+        return !!response && response.status === 204;
+    }
+
+}
+
+/**
+ * An object representing an event.
+ * Events of a known type are created as one of its subclasses, which resolve their payload into model objects.
+ */
+class Event extends Git {
+    id;
+    type;
+    actor = {};
+    repo = {};
+    org;
+    payload = {};
+    public;
+    created_at;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getOwner() {
+        return this._github.getUserByName(this['actor'].login).awaitReady();
+    }
+
+    getActor() {
+        return this.getOwner();
+    }
+
+    async getRepository() {
+        return await this._github.getRepository(this['repo'].name).awaitReady();
+    }
+
+    getAction() {
+        return this.payload.action || null;
+    }
+
+    getDate() {
+        return new Date(this.created_at);
+    }
+
+}
+
+/**
+ * One or more commits pushed to a branch or tag.
+ */
+class PushEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getRef() {
+        return this.payload.ref;
+    }
+
+    /**
+     * The branch pushed to, or nothing if a tag was pushed.
+     */
+    getBranch() {
+        const ref = this.payload.ref || '';
+        return ref.startsWith('refs/heads/') ? ref.substring('refs/heads/'.length) : null;
+    }
+
+    getHead() {
+        return this.payload.head || this.payload.after;
+    }
+
+    getBefore() {
+        return this.payload.before;
+    }
+
+    /**
+     * The pushed commits, oldest first. The feed and webhooks only include up to 20 of them, so these may not be all.
+     * @returns {Commit[]}
+     */
+    getCommits() {
+        return (this.payload.commits || []).map(commit => this._github.createCommit({
+            sha: commit.sha || commit.id,
+            url: commit.url,
+            commit: {message: commit.message, author: commit.author, committer: commit.author},
+            distinct: commit.distinct
+        }));
+    }
+
+}
+
+/**
+ * A pull request being opened, closed, edited, assigned and so on.
+ */
+class PullRequestEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getPullRequest() {
+        return this._github.createPullRequest(this.payload.pull_request);
+    }
+
+}
+
+/**
+ * An issue being opened, closed, edited, labelled and so on.
+ */
+class IssuesEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getIssue() {
+        return this._github.createIssue(this.payload.issue);
+    }
+
+}
+
+/**
+ * A comment on an issue or pull request.
+ */
+class IssueCommentEvent extends IssuesEvent {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getComment() {
+        return this._github.createComment(this.payload.comment);
+    }
+
+}
+
+/**
+ * A branch, tag or repository being created.
+ */
+class CreateEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    /**
+     * What was created: `repository`, `branch` or `tag`.
+     */
+    getRefType() {
+        return this.payload.ref_type;
+    }
+
+    getRef() {
+        return this.payload.ref;
+    }
+
+}
+
+/**
+ * A branch or tag being deleted.
+ */
+class DeleteEvent extends CreateEvent {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+}
+
+/**
+ * A release being published.
+ */
+class ReleaseEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getRelease() {
+        return this._github.createRelease(this.payload.release);
+    }
+
+}
+
+/**
+ * A repository being starred.
+ */
+class WatchEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+}
+
+/**
+ * A repository being forked.
+ */
+class ForkEvent extends Event {
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    getFork() {
+        return this._github.createRepository(this.payload.forkee);
+    }
+
+}
+
+/**
+ * The event classes by their type name.
+ */
+const eventTypes = {
+    PushEvent,
+    PullRequestEvent,
+    IssuesEvent,
+    IssueCommentEvent,
+    CreateEvent,
+    DeleteEvent,
+    ReleaseEvent,
+    WatchEvent,
+    ForkEvent
+};
+
+/**
+ * Polls an event feed for new events, and passes each one to a callback, oldest first.
+ * This waits at least as long as the `X-Poll-Interval` from GitHub between requests, and uses conditional requests
+ * so that polling an unchanged feed does not count against the rate limit.
+ */
+class EventPoller {
+    _github;
+    url;
+    callback;
+    interval;
+    initial;
+    onError;
+    _seen = new Set();
+    _timer = null;
+    _running = false;
+    _first = true;
+
+    /**
+     * @param github The client to poll with.
+     * @param url The URL of the event feed, or a promise of it.
+     * @param callback The function to call with each new event.
+     * @param interval The minimum time (in seconds) between polls.
+     * @param initial Whether to pass the events already in the feed to the callback when polling starts.
+     * @param onError The function to call with any error, including one thrown by the callback, after which polling goes on.
+     * Without this, errors are handled according to the client's `errors` setting, except that one which would be thrown
+     * (or one thrown by `onError`) stops polling and is logged, as nothing awaits the timer that polls.
+     */
+    constructor(github, url, callback, {interval = 60, initial = false, onError = null} = {}) {
+        this._github = github;
+        this.url = url;
+        this.callback = callback;
+        this.interval = interval;
+        this.initial = initial;
+        this.onError = onError;
+    }
+
+    start() {
+        if (this._running) return this;
+        this._running = true;
+        this.poll();
+        return this;
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer != null) clearTimeout(this._timer);
+        this._timer = null;
+        return this;
+    }
+
+    isRunning() {
+        return this._running;
+    }
+
+    /**
+     * Requests the feed once, and schedules the next poll.
+     */
+    async poll() {
+        let interval = this.interval;
+        try {
+            const page = await this._github.requestPage(await this.url, {per_page: 100});
+            const header = page.headers && page.headers.get('x-poll-interval');
+            if (header) interval = Math.max(interval, Number(header));
+            const events = (Array.isArray(page.data) ? page.data : []).filter(event => !this._seen.has(event.id));
+            for (const event of events) this._seen.add(event.id);
+            if (this._seen.size > 1000) this._seen = new Set(Array.from(this._seen).slice(-500));
+            if (!this._first || this.initial) for (const event of events.reverse()) {
+                if (!this._running) break;
+                await this.callback(this._github.createEvent(event));
+            }
+            this._first = false;
+        } catch (error) {
+            try {
+                if (this.onError) this.onError(error);
+                else this._github.handleError(error, null);
+            } catch (thrown) {
+                this.stop();
+                console.error(thrown);
+            }
+        }
+        if (this._running) this._timer = setTimeout(() => this.poll(), interval * 1000);
+    }
+
+}
+
+/**
+ * An object representing a user.
+ */
+class User extends Git {
+    login;
+    id;
+    node_id;
+    avatar_url;
+    gravatar_id;
+    url;
+    html_url;
+    followers_url;
+    following_url;
+    gists_url;
+    starred_url;
+    subscriptions_url;
+    organizations_url;
+    repos_url;
+    events_url;
+    received_events_url;
+    type;
+    site_admin;
+    name;
+    company;
+    blog;
+    location;
+    email;
+    hireable;
+    bio;
+    twitter_username;
+    public_repos;
+    public_gists;
+    followers;
+    following;
+    created_at;
+    updated_at;
+    display_name;
+
+    constructor(request, github) {
+        super(request, github);
+        this.awaitReady().then(() => this.display_name = this.name || this.login, () => null);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    getRepository(name) {
+        return this._github.getRepositoryByName(this.login, name);
+    }
+
+    getGist(id) {
+        return this._github.getGist(id);
+    }
+
+    iterateEvents() {
+        return this._github.paginate(this.awaitReady().then(() => this.url + '/events'), {}, this._github.createEvent);
+    }
+
+    async getEvents(amount = 30) {
+        return this.iterateEvents().take(amount);
+    }
+
+    async getEventsAfter(date) {
+        const array = [];
+        for await (const event of this.iterateEvents()) {
+            if (event.getDate().getTime() <= date.getTime()) break;
+            array.push(event);
+        }
+        return array;
+    }
+
+    /**
+     * Polls this user's (or organisation's) public events, calling back with each new one.
+     * @param callback The function to call with each new event.
+     * @param options The `interval` (in seconds) and whether to also call back with the `initial` events.
+     * @returns {EventPoller} The poller, which can be stopped.
+     */
+    watchEvents(callback, options) {
+        return new EventPoller(this._github, this.awaitReady().then(() => this.url + '/events'), callback, options).start();
+    }
+
+    async getEventsByPage(page = 1, per_page = 20) {
+        if (!(await this.awaitLoaded())) return [];
+        return this._github.createEvent(await this._github.request(this.url + '/events', {
+            per_page: Math.max(0, Math.min(100, per_page)),
+            page: Math.max(1, page)
+        }));
+    }
+
+    iterateOrganisations() {
+        return this._github.paginate(this.awaitReady().then(() => this.organizations_url), {}, this._github.createOrganisation);
+    }
+
+    /**
+     * The organisations this user is a public member of.
+     * These come from a list, so some of their data (e.g. `name`) may be missing.
+     * @returns {Promise<Organisation[]>}
+     */
+    async getOrganisations() {
+        try {
+            await this.awaitReady();
+            if (this._organisations == null) this._organisations = this.iterateOrganisations().all();
+            return this._organisations = await this._organisations;
+        } catch (error) {
+            delete this._organisations;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateRepositories(query = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this['repos_url']), query, this._github.createRepository);
+    }
+
+    async getRepositories() {
+        try {
+            await this.awaitReady();
+            if (this._repositories == null) this._repositories = this.iterateRepositories().all();
+            return this._repositories = await this._repositories;
+        } catch (error) {
+            delete this._repositories;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateGists() {
+        return this._github.paginate(this.awaitReady().then(() => this.gists_url.substring(0, this.gists_url.length - 10)), {}, this._github.createGist);
+    }
+
+    async getGists() {
+        try {
+            await this.awaitReady();
+            if (this._gists == null) this._gists = this.iterateGists().all();
+            return this._gists = await this._gists;
+        } catch (error) {
+            delete this._gists;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateFollowers() {
+        return this._github.paginate(this.awaitReady().then(() => this.followers_url), {}, this._github.createUser);
+    }
+
+    async getFollowers() {
+        try {
+            await this.awaitReady();
+            if (this._followers == null) this._followers = this.iterateFollowers().all();
+            return this._followers = await this._followers;
+        } catch (error) {
+            delete this._followers;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateFollowing() {
+        return this._github.paginate(this.awaitReady().then(() => this.following_url.replace('{/other_user}', '')), {}, this._github.createUser);
+    }
+
+    async getFollowing() {
+        try {
+            await this.awaitReady();
+            if (this._following == null) this._following = this.iterateFollowing().all();
+            return this._following = await this._following;
+        } catch (error) {
+            delete this._following;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    /**
+     * Whether this user follows another.
+     * @param user The other user, or their login.
+     * @returns {Promise<boolean>}
+     */
+    async isFollowing(user) {
+        if (!(await this.awaitLoaded())) return false;
+        const login = user instanceof User ? (await user.awaitReady()).login : user;
+        const response = await this._github.requestRaw(this.following_url.replace('{/other_user}', '/' + login), {}, {optional: true});
+        return !!response && response.status === 204;
+    }
+
+    iterateStarred({sort, direction} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.starred_url.replace('{/owner}{/repo}', '')), {
+            sort: sort,
+            direction: direction
+        }, this._github.createRepository);
+    }
+
+    /**
+     * Lists the repositories this user has starred.
+     * @param sort `created` (when they were starred) or `updated` (when they were last pushed to).
+     * @param direction `asc` or `desc`.
+     * @returns {Promise<Repository[]>}
+     */
+    async getStarred({sort, direction} = {}) {
+        return this.iterateStarred({sort: sort, direction: direction}).all();
+    }
+
+    iterateWatched() {
+        return this._github.paginate(this.awaitReady().then(() => this.subscriptions_url), {}, this._github.createRepository);
+    }
+
+    async getWatched() {
+        try {
+            await this.awaitReady();
+            if (this._watched == null) this._watched = this.iterateWatched().all();
+            return this._watched = await this._watched;
+        } catch (error) {
+            delete this._watched;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    async getLanguages() {
+        try {
+            await this.awaitReady();
+            if (this._languages != null) return this._languages;
+            this._languages = new Promise(async resolve => {
+                const object = {}, repositories = (await this.getRepositories()).filter(repository => !repository['fork']);
+                const list = await mapConcurrently(repositories, this._github.scheduler.concurrency, repository => repository.getLanguages());
+                for (let languages of list) {
+                    for (let key in languages) {
+                        if (object.hasOwnProperty(key)) object[key] += languages[key];
+                        else object[key] = languages[key];
+                    }
+                }
+                resolve(object);
+            });
+            return this._languages = await this._languages;
+        } catch (error) {
+            delete this._languages;
+            return this._github.handleError(error, {});
+        }
+    }
+
+    isOrganisation() {
+        return false;
+    }
+
+}
+
+/**
+ * An object representing an organisation.
+ * This is also a user, although some user data may not be present.
+ *
+ * Organisations can be queried as a user.
+ */
+class Organisation extends User {
+
+    login;
+    id;
+    node_id;
+    url;
+    repos_url;
+    events_url;
+    hooks_url;
+    issues_url;
+    members_url;
+    public_members_url;
+    avatar_url;
+    description;
+    name;
+    company;
+    blog;
+    location;
+    email;
+    twitter_username;
+    is_verified;
+    has_organization_projects;
+    has_repository_projects;
+    public_repos;
+    public_gists;
+    followers;
+    following;
+    html_url;
+    created_at;
+    updated_at;
+    type;
+    display_name;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getOrganisations() {
+        return [];
+    }
+
+    iterateRepositories({type, sort, ...query} = {}) {
+        return super.iterateRepositories({...query, type: type, sort: sort});
+    }
+
+    /**
+     * Lists the repositories of this organisation.
+     * @param type `all`, `public`, `private`, `forks`, `sources` or `member`.
+     * @param sort `created`, `updated`, `pushed` or `full_name`.
+     * @param query Any other options, e.g. `direction`.
+     * @returns {Promise<Repository[]>}
+     */
+    async getRepositories({type, sort, ...query} = {}) {
+        if (type == null && sort == null && !Object.keys(query).length) return super.getRepositories();
+        return this.iterateRepositories({...query, type: type, sort: sort}).all();
+    }
+
+    iterateMembers({role, ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.members_url.replace('{/member}', '')), {
+            ...query,
+            role: role
+        }, this._github.createUser);
+    }
+
+    /**
+     * Lists the members of this organisation.
+     * Only public members are listed unless the client's user is a member.
+     * @param role `all`, `admin` or `member`.
+     * @returns {Promise<User[]>}
+     */
+    async getMembers({role} = {}) {
+        if (role != null) return this.iterateMembers({role: role}).all();
+        try {
+            await this.awaitReady();
+            if (this._members == null) this._members = this.iterateMembers().all();
+            return this._members = await this._members;
+        } catch (error) {
+            delete this._members;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iteratePublicMembers() {
+        return this._github.paginate(this.awaitReady().then(() => this.public_members_url.replace('{/member}', '')), {}, this._github.createUser);
+    }
+
+    async getPublicMembers() {
+        try {
+            await this.awaitReady();
+            if (this._public_members == null) this._public_members = this.iteratePublicMembers().all();
+            return this._public_members = await this._public_members;
+        } catch (error) {
+            delete this._public_members;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    /**
+     * Looks up a user's membership of this organisation, which needs the client's user to be a member.
+     * @param login The user's login.
+     * @returns {Promise<null|{state: string, role: string, user: User}>} The membership, whose `role` is `admin` or `member`
+     * and `state` is `active` or `pending`, or nothing if the user is not a member.
+     */
+    async getMembership(login) {
+        if (!(await this.awaitLoaded())) return null;
+        const data = await this._github.request(this.url + '/memberships/' + login, {}, {optional: true});
+        if (!data) return null;
+        return {state: data.state, role: data.role, user: this._github.createUser(data.user)};
+    }
+
+    iterateTeams() {
+        return this._github.paginate(this.awaitReady().then(() => this.url + '/teams'), {}, this._github.createTeam);
+    }
+
+    /**
+     * Lists the teams of this organisation that the client's user can see.
+     * @returns {Promise<Team[]>}
+     */
+    async getTeams() {
+        try {
+            await this.awaitReady();
+            if (this._teams == null) this._teams = this.iterateTeams().all();
+            return this._teams = await this._teams;
+        } catch (error) {
+            delete this._teams;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    async getTeam(slug) {
+        await this.awaitReady();
+        return await this._github.getTeam(this.url + '/teams/' + slug).awaitReady();
+    }
+
+    iterateIssues({filter = 'assigned', state = 'open', ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.issues_url), {
+            ...query,
+            filter: filter,
+            state: state
+        }, this._github.createIssue);
+    }
+
+    /**
+     * Lists the issues in this organisation's repositories that involve the client's user.
+     * @param filter `assigned`, `created`, `mentioned`, `subscribed` or `all`.
+     * @param state `open`, `closed` or `all`.
+     * @param query Any other filters, e.g. `labels`, `sort` or `since`.
+     * @returns {Promise<Issue[]>}
+     */
+    async getIssues({filter = 'assigned', state = 'open', ...query} = {}) {
+        return this.iterateIssues({...query, filter: filter, state: state}).all();
+    }
+
+    /**
+     * Lists the webhooks of this organisation, which needs the client's user to be an owner.
+     * @returns {Promise<Object[]>}
+     */
+    async getHooks() {
+        return this._github.paginate(this.awaitReady().then(() => this.hooks_url)).all();
+    }
+
+    isOrganisation() {
+        return true;
+    }
+
+}
+
+/**
+ * An object representing a team in an organisation.
+ */
+class Team extends Git {
+    id;
+    node_id;
+    url;
+    html_url;
+    name;
+    slug;
+    description;
+    privacy;
+    notification_setting;
+    permission;
+    members_url;
+    repositories_url;
+    parent;
+    members_count;
+    repos_count;
+    organization = {};
+    created_at;
+    updated_at;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getOrganisation() {
+        await this.awaitReady();
+        if (this.organization.login) return await this._github.getOrganisation(this.organization.login).awaitReady();
+        const match = this.url.match(/\/(?:orgs|organizations)\/([^/]+)/);
+        return await this._github.getOrganisation(match[1]).awaitReady();
+    }
+
+    async getParent() {
+        await this.awaitReady();
+        if (!this.parent) return null;
+        return await this._github.getTeam(this.parent.url).awaitReady();
+    }
+
+    iterateMembers({role, ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.members_url.replace('{/member}', '')), {
+            ...query,
+            role: role
+        }, this._github.createUser);
+    }
+
+    /**
+     * Lists the members of this team, including those of its child teams.
+     * @param role `all`, `maintainer` or `member`.
+     * @returns {Promise<User[]>}
+     */
+    async getMembers({role} = {}) {
+        if (role != null) return this.iterateMembers({role: role}).all();
+        try {
+            await this.awaitReady();
+            if (this._members == null) this._members = this.iterateMembers().all();
+            return this._members = await this._members;
+        } catch (error) {
+            delete this._members;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    /**
+     * Looks up a user's membership of this team.
+     * @param login The user's login.
+     * @returns {Promise<null|{state: string, role: string}>} The membership, whose `role` is `maintainer` or `member`,
+     * or nothing if the user is not a member.
+     */
+    async getMembership(login) {
+        if (!(await this.awaitLoaded())) return null;
+        const data = await this._github.request(this.url + '/memberships/' + login, {}, {optional: true});
+        return data ? {state: data.state, role: data.role} : null;
+    }
+
+    iterateRepositories() {
+        return this._github.paginate(this.awaitReady().then(() => this.repositories_url), {}, this._github.createRepository);
+    }
+
+    async getRepositories() {
+        try {
+            await this.awaitReady();
+            if (this._repositories == null) this._repositories = this.iterateRepositories().all();
+            return this._repositories = await this._repositories;
+        } catch (error) {
+            delete this._repositories;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateTeams() {
+        return this._github.paginate(this.awaitReady().then(() => this.url + '/teams'), {}, this._github.createTeam);
+    }
+
+    async getTeams() {
+        return this.iterateTeams().all();
+    }
+
+}
+
+/**
+ * An object representing a repository.
+ */
+class Repository extends Git {
+
+    id;
+    node_id;
+    name;
+    full_name;
+    private;
+    owner = {};
+    html_url;
+    description;
+    fork;
+    url;
+    forks_url;
+    keys_url;
+    collaborators_url;
+    teams_url;
+    hooks_url;
+    issue_events_url;
+    events_url;
+    assignees_url;
+    branches_url;
+    tags_url;
+    blobs_url;
+    git_tags_url;
+    git_refs_url;
+    trees_url;
+    statuses_url;
+    languages_url;
+    stargazers_url;
+    contributors_url;
+    subscribers_url;
+    subscription_url;
+    commits_url;
+    git_commits_url;
+    comments_url;
+    issue_comment_url;
+    contents_url;
+    compare_url;
+    merges_url;
+    archive_url;
+    downloads_url;
+    issues_url;
+    pulls_url;
+    milestones_url;
+    notifications_url;
+    labels_url;
+    releases_url;
+    deployments_url;
+    created_at;
+    updated_at;
+    pushed_at;
+    git_url;
+    ssh_url;
+    clone_url;
+    svn_url;
+    mirror_url;
+    homepage;
+    size;
+    stargazers_count;
+    watchers_count;
+    language;
+    has_issues;
+    has_projects;
+    has_downloads;
+    has_wiki;
+    has_pages;
+    archived;
+    disabled;
+    forks_count;
+    open_issues_count;
+    license = {};
+    allow_forking;
+    is_template;
+    topics = [];
+    visibility;
+    forks;
+    open_issues;
+    watchers;
+    default_branch;
+    temp_clone_token;
+    network_count;
+    subscribers_count;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getVersion() {
+        try {
+            await this.awaitReady();
+            if (this._version != null) return this._version;
+            this._version = await this.getLatestRelease(true).then(release => release ? release['tag_name'] : '');
+            return this._version;
+        } catch (error) {
+            return this._github.handleError(error, this._version || '');
+        }
+    }
+
+    /**
+     * Gets the latest release.
+     * @param prerelease Whether to include pre-releases, in which case the release with the highest version is used.
+     * @returns {Promise<null|Release>} The release, or nothing if there is none.
+     */
+    async getLatestRelease(prerelease = false) {
+        try {
+            await this.awaitReady();
+            if (!prerelease) {
+                const data = await this._github.request(this.releases_url.replace('{/id}', '/latest'), {}, {optional: true});
+                return data && data.id ? this._github.createRelease(data) : null;
+            }
+            let latest = null, version = null;
+            for (const release of await this.getReleases()) {
+                if (release.draft) continue;
+                const current = parseVersion(release.tag_name);
+                if (latest == null || (current && (!version || compareVersions(current, version) > 0))
+                    || (!current && !version && release.getDate() > latest.getDate())) {
+                    latest = release;
+                    version = current;
+                }
+            }
+            return latest;
+        } catch (error) {
+            return this._github.handleError(error, null);
+        }
+    }
+
+    /**
+     * Finds the release with the highest version in a range.
+     * @param range The range, in the same syntax as npm, e.g. `^2.1`, `~1.4.0` or `>=2 <4`.
+     * @param prerelease Whether to include pre-releases.
+     * @param draft Whether to include drafts, which are only visible with push access.
+     * @returns {Promise<null|Release>} The release, or nothing if none match.
+     */
+    async getReleaseMatching(range, {prerelease = false, draft = false} = {}) {
+        let match = null, version = null;
+        for await (const release of this.iterateReleases()) {
+            if ((release.draft && !draft) || (release.prerelease && !prerelease)) continue;
+            const current = parseVersion(release.tag_name);
+            if (!current || !satisfiesRange(current, range, prerelease)) continue;
+            if (!version || compareVersions(current, version) > 0) {
+                match = release;
+                version = current;
+            }
+        }
+        return match;
+    }
+
+    async getReleaseByTag(tag) {
+        if (!(await this.awaitLoaded())) return null;
+        const data = await this._github.request(this.releases_url.replace('{/id}', '/tags/' + tag), {}, {optional: true});
+        return data && data.id ? this._github.createRelease(data) : null;
+    }
+
+    async getRelease(id) {
+        await this.awaitReady();
+        return await this._github.getRelease(this.releases_url.replace('{/id}', '/' + id)).awaitReady();
+    }
+
+    iterateReleases() {
+        return this._github.paginate(this.awaitReady().then(() => this.releases_url.replace('{/id}', '')), {}, this._github.createRelease);
+    }
+
+    async getReleases() {
+        try {
+            await this.awaitReady();
+            return await this.iterateReleases().all();
+        } catch (error) {
+            return this._github.handleError(error, []);
+        }
+
+    }
+
+    /**
+     * Gets a file or directory from this repository using the contents API.
+     * @param path The path, or nothing for the root directory.
+     * @param ref The branch, tag or commit, or nothing for the default branch.
+     * @returns {Promise<null|File|Directory>} The entry, or nothing if it does not exist.
+     */
+    async getContents(path = '', {ref} = {}) {
+        if (!(await this.awaitLoaded())) return null;
+        const url = this.contents_url.replace('{+path}', path.replace(/^\/+|\/+$/g, ''));
+        const data = await this._github.request(url, ref ? {ref: ref} : {}, {optional: true});
+        if (Array.isArray(data)) {
+            const directory = this._github.createDirectory({
+                name: path.split('/').filter(name => name).pop() || '',
+                path: path.replace(/^\/+|\/+$/g, ''),
+                url: url + (ref ? '?ref=' + encodeURIComponent(ref) : ''),
+                html_url: this.html_url + '/tree/' + (ref || this.default_branch) + (path ? '/' + path : '')
+            });
+            directory._entries = this._github.createEntries(data);
+            return directory;
+        }
+        if (!data) return null;
+        return data.type === 'dir' ? this._github.createDirectory(data) : this._github.createFile(data);
+    }
+
+    /**
+     * Gets a file from this repository.
+     * @param name The path of the file.
+     * @param ref The branch, tag or commit, or nothing for the default branch.
+     * @returns {Promise<null|File>} The file, or nothing if it does not exist or is a directory.
+     */
+    async getFile(name, {ref} = {}) {
+        const entry = await this.getContents(name, {ref: ref});
+        return entry instanceof File ? entry : null;
+    }
+
+    async getDirectory(path, {ref} = {}) {
+        const entry = await this.getContents(path, {ref: ref});
+        return entry instanceof Directory ? entry : null;
+    }
+
+    async getFileContent(name, {ref} = {}) {
+        const file = await this.getFile(name, {ref: ref});
+        return file ? file.getContent() : null;
+    }
+
+    /**
+     * Downloads this repository as an archive, which is read as it streams in.
+     * This gets every file in one request, rather than one for each file or directory.
+     * @param format `tarball` or `zipball`.
+     * @param ref The branch, tag or commit, or nothing for the default branch.
+     * @returns {Promise<null|Archive>} The archive, or nothing if the download failed.
+     */
+    async downloadArchive({format = 'tarball', ref} = {}) {
+        if (!(await this.awaitLoaded())) return null;
+        const url = this.archive_url.replace('{archive_format}', format).replace('{/ref}', ref ? '/' + ref : '');
+        const response = await this._github.requestRaw(url);
+        return response ? new Archive(this._github, response, format) : null;
+    }
+
+    /**
+     * Gets the README of this repository, or of one of its directories, whatever its name (e.g. `README.md` or `readme.rst`).
+     * @param ref The branch, tag or commit, or nothing for the default branch.
+     * @param dir The directory, or nothing for the root.
+     * @returns {Promise<null|File>} The README, or nothing if there is none.
+     */
+    async getReadme({ref, dir} = {}) {
+        if (!(await this.awaitLoaded())) return null;
+        dir = (dir || '').replace(/^\/+|\/+$/g, '');
+        const data = await this._github.request(this.url + '/readme' + (dir ? '/' + dir : ''), ref ? {ref: ref} : {}, {optional: true});
+        return data ? this._github.createFile(data) : null;
+    }
+
+    /**
+     * Renders the README of this repository (or of a directory) as HTML, with its relative links and images made absolute.
+     * READMEs that are not Markdown are rendered as Markdown anyway.
+     * @param ref The branch, tag or commit, or nothing for the default branch.
+     * @param dir The directory, or nothing for the root.
+     * @returns {Promise<null|string>} The HTML, or nothing if there is no README.
+     */
+    async renderReadme({ref, dir} = {}) {
+        const readme = await this.getReadme({ref: ref, dir: dir});
+        if (!readme) return null;
+        const text = await readme.getContent();
+        if (text == null) return null;
+        const path = readme.path || '';
+        return this._github.renderMarkdown(text, {context: this, ref: ref, path: path.substring(0, path.lastIndexOf('/') + 1)});
+    }
+
+    /**
+     * Gets the tree of files in this repository at a ref, from the trees API.
+     * A recursive tree is fetched in one request, unless it is too large, in which case directories are requested as they are listed.
+     * @param ref The branch, tag or tree SHA, or nothing for the default branch.
+     * @param recursive Whether to get the whole tree at once.
+     * @returns {Promise<Directory>} The root directory.
+     */
+    async getTree(ref, {recursive = false} = {}) {
+        if (!(await this.awaitLoaded())) return null;
+        const data = await this._github.request(this.trees_url.replace('{/sha}', '/' + (ref || this.default_branch)), recursive ? {recursive: 1} : {});
+        const root = this._github.createDirectory({
+            name: '',
+            path: '',
+            sha: data && data.sha,
+            url: data && data.url,
+            html_url: this.html_url + '/tree/' + (ref || this.default_branch)
+        });
+        if (!data || !data.tree) return root;
+        if (!recursive) {
+            root._entries = this._github.createEntries(data.tree, '', root.html_url);
+            return root;
+        }
+        const directories = {'': root}, entries = {'': []};
+        for (const item of data.tree) if (item.type === 'tree') entries[item.path] = [];
+        for (const entry of this._github.createEntries(data.tree, '', root.html_url)) {
+            if (entry instanceof Directory) directories[entry.path] = entry;
+            const parent = entry.path.substring(0, Math.max(0, entry.path.lastIndexOf('/')));
+            if (entries[parent]) entries[parent].push(entry);
+        }
+        if (!data.truncated) for (const path in directories) directories[path]._entries = entries[path];
+        else root._entries = entries[''];
+        return root;
+    }
+
+    /**
+     * Creates or replaces a file in this repository, as a new commit.
+     * @param path The path of the file.
+     * @param content The content, as text or binary (an ArrayBuffer or typed array).
+     * @param message The commit message.
+     * @param branch The branch to commit to, or nothing for the default branch.
+     * @param sha The blob SHA of the file being replaced, or nothing to look it up.
+     * @returns {Promise<null|File>} The new file, or nothing if it could not be written.
+     */
+    async putFile(path, content, message, {branch, sha} = {}) {
+        await this.awaitReady();
+        const url = this.contents_url.replace('{+path}', path);
+        if (sha == null) {
+            const existing = await this._github.request(url, branch ? {ref: branch} : {}, {optional: true});
+            if (existing && !Array.isArray(existing)) sha = existing.sha;
+        }
+        const data = await this._github.write('PUT', url, {
+            message: message,
+            content: encodeBase64(content),
+            sha: sha,
+            branch: branch
+        });
+        return data ? this._github.createFile(data.content) : null;
+    }
+
+    async getOwner() {
+        await this.awaitReady();
+        if (this._owner) return this._owner;
+        return this._owner = await this._github.getUserByName(this['owner'].login).awaitReady();
+    }
+
+    async getLanguages() {
+        try {
+            await this.awaitReady();
+            if (this._languages != null) return this._languages;
+            this._languages = await this._github.request(this['languages_url']);
+            return this._languages || {};
+        } catch (error) {
+            return this._github.handleError(error, this._languages || {});
+        }
+    }
+
+    iterateContributors() {
+        return this._github.paginate(this.awaitReady().then(() => this['contributors_url']));
+    }
+
+    async getContributors() {
+        try {
+            await this.awaitReady();
+            if (this._members == null) this._members = this.iterateContributors().all();
+            return this._members = await this._members;
+        } catch (error) {
+            delete this._members;
+            return this._github.handleError(error, []);
+        }
+    }
+
+    iterateStargazers() {
+        return this._github.paginate(this.awaitReady().then(() => this.stargazers_url), {}, data => ({
+            starred_at: data.starred_at ? new Date(data.starred_at) : null,
+            user: this._github.createUser(data.user)
+        }), undefined, 'application/vnd.github.star+json');
+    }
+
+    /**
+     * Lists the users who have starred this repository, oldest star first, e.g. for a chart of its stars over time.
+     * @returns {Promise<{starred_at: Date, user: User}[]>}
+     */
+    async getStargazers() {
+        return this.iterateStargazers().all();
+    }
+
+    /**
+     * The commits, additions and deletions of each of the top 100 contributors to this repository, by week.
+     * @returns {Promise<{author: null|User, total: number, weeks: {week: Date, additions: number, deletions: number, commits: number}[]}[]>}
+     */
+    async getContributorStats() {
+        if (!(await this.awaitLoaded())) return [];
+        const data = await this._github.requestStatistics(this.url + '/stats/contributors');
+        return (data || []).map(contributor => ({
+            author: contributor.author ? this._github.createUser(contributor.author) : null,
+            total: contributor.total,
+            weeks: contributor.weeks.map(week => ({
+                week: new Date(week.w * 1000),
+                additions: week.a,
+                deletions: week.d,
+                commits: week.c
+            }))
+        }));
+    }
+
+    /**
+     * The number of commits to this repository each day for the last year, by week.
+     * @returns {Promise<{week: Date, total: number, days: number[]}[]>} The weeks, each starting on a Sunday, with the commits on each day.
+     */
+    async getCommitActivity() {
+        if (!(await this.awaitLoaded())) return [];
+        const data = await this._github.requestStatistics(this.url + '/stats/commit_activity');
+        return (data || []).map(week => ({week: new Date(week.week * 1000), total: week.total, days: week.days}));
+    }
+
+    /**
+     * The number of lines added to and deleted from this repository each week.
+     * @returns {Promise<{week: Date, additions: number, deletions: number}[]>}
+     */
+    async getCodeFrequency() {
+        if (!(await this.awaitLoaded())) return [];
+        const data = await this._github.requestStatistics(this.url + '/stats/code_frequency');
+        return (data || []).map(([week, additions, deletions]) => ({
+            week: new Date(week * 1000),
+            additions: additions,
+            deletions: Math.abs(deletions)
+        }));
+    }
+
+    /**
+     * The number of commits to this repository each week for the last year, in total and by its owner.
+     * @returns {Promise<{week: Date, all: number, owner: number}[]>} The weeks, oldest first, each starting on a Sunday.
+     */
+    async getParticipation() {
+        if (!(await this.awaitLoaded())) return [];
+        const data = await this._github.requestStatistics(this.url + '/stats/participation');
+        if (!data || !data.all) return [];
+        const now = new Date(), start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - now.getUTCDay());
+        return data.all.map((all, index) => ({
+            week: new Date(start - (data.all.length - 1 - index) * 7 * 24 * 60 * 60 * 1000),
+            all: all,
+            owner: data.owner ? data.owner[index] : 0
+        }));
+    }
+
+    /**
+     * The number of commits to this repository by hour of the week.
+     * @returns {Promise<{day: number, hour: number, commits: number}[]>} The hours, where `day` 0 is Sunday.
+     */
+    async getPunchCard() {
+        if (!(await this.awaitLoaded())) return [];
+        const data = await this._github.requestStatistics(this.url + '/stats/punch_card');
+        return (data || []).map(([day, hour, commits]) => ({day: day, hour: hour, commits: commits}));
+    }
+
+    async isContributor(user) {
+        const members = await this.getContributors();
+        if (user instanceof User) for (let member of members) if (member.id === user.id) return true;
+        else for (let member of members) if ((member.id + '') === (user.id + '')) return true;
+        return false;
+    }
+
+    async isOwner(user) {
+        const owner = await this.getOwner();
+        if (user instanceof User) return owner.id === user.id;
+        else return (owner.id + '') === (user.id + '');
+    }
+
+    iterateEvents() {
+        return this._github.paginate(this.awaitReady().then(() => this.events_url), {}, this._github.createEvent);
+    }
+
+    async getEvents(amount = 30) {
+        return this.iterateEvents().take(amount);
+    }
+
+    /**
+     * Polls this repository's events, calling back with each new one.
+     * @param callback The function to call with each new event.
+     * @param options The `interval` (in seconds) and whether to also call back with the `initial` events.
+     * @returns {EventPoller} The poller, which can be stopped.
+     */
+    watchEvents(callback, options) {
+        return new EventPoller(this._github, this.awaitReady().then(() => this.events_url), callback, options).start();
+    }
+
+    iterateIssues({state = 'open', labels, ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.issues_url.replace('{/number}', '')), {
+            ...query,
+            state: state,
+            labels: Array.isArray(labels) ? labels.join(',') : labels
+        }, this._github.createIssue);
+    }
+
+    /**
+     * Lists the issues of this repository, which includes pull requests.
+     * @param state `open`, `closed` or `all`.
+     * @param labels The names of labels the issues must all have.
+     * @param assignee The login of the assignee, `none` or `*`.
+     * @param query Any other filters, e.g. `creator`, `milestone`, `sort` or `since`.
+     * @returns {Promise<Issue[]>}
+     */
+    async getIssues({state = 'open', labels, assignee, ...query} = {}) {
+        return this.iterateIssues({...query, state: state, labels: labels, assignee: assignee}).all();
+    }
+
+    async getIssue(number) {
+        await this.awaitReady();
+        return await this._github.getIssue(this.issues_url.replace('{/number}', '/' + number)).awaitReady();
+    }
+
+    iteratePullRequests({state = 'open', ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.pulls_url.replace('{/number}', '')), {
+            ...query,
+            state: state
+        }, this._github.createPullRequest);
+    }
+
+    /**
+     * Lists the pull requests of this repository.
+     * @param state `open`, `closed` or `all`.
+     * @param query Any other filters, e.g. `head`, `base`, `sort` or `direction`.
+     * @returns {Promise<PullRequest[]>}
+     */
+    async getPullRequests({state = 'open', ...query} = {}) {
+        return this.iteratePullRequests({...query, state: state}).all();
+    }
+
+    async getPullRequest(number) {
+        await this.awaitReady();
+        return await this._github.getPullRequest(this.pulls_url.replace('{/number}', '/' + number)).awaitReady();
+    }
+
+    iterateLabels() {
+        return this._github.paginate(this.awaitReady().then(() => this.labels_url.replace('{/name}', '')), {}, this._github.createLabel);
+    }
+
+    async getLabels() {
+        return this.iterateLabels().all();
+    }
+
+    iterateMilestones({state = 'open', ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.milestones_url.replace('{/number}', '')), {
+            ...query,
+            state: state
+        }, this._github.createMilestone);
+    }
+
+    async getMilestones({state = 'open', ...query} = {}) {
+        return this.iterateMilestones({...query, state: state}).all();
+    }
+
+    iterateCommits({sha, path, since, until, author, ...query} = {}) {
+        return this._github.paginate(this.awaitReady().then(() => this.commits_url.replace('{/sha}', '')), {
+            ...query,
+            sha: sha,
+            path: path,
+            author: author,
+            since: since instanceof Date ? since.toISOString() : since,
+            until: until instanceof Date ? until.toISOString() : until
+        }, this._github.createCommit);
+    }
+
+    /**
+     * Lists the commits of this repository, newest first.
+     * Large repositories have a great many commits, so a `limit` or `iterateCommits` should usually be used.
+     * @param sha The branch, tag or SHA to start from, or nothing for the default branch.
+     * @param path Only commits touching this path.
+     * @param since Only commits after this date.
+     * @param until Only commits before this date.
+     * @param author The login or email of the author.
+     * @param limit The maximum number of commits, or nothing for all of them.
+     * @returns {Promise<Commit[]>}
+     */
+    async getCommits({limit, ...query} = {}) {
+        const commits = this.iterateCommits(query);
+        return limit != null ? commits.take(limit) : commits.all();
+    }
+
+    async getCommit(ref) {
+        await this.awaitReady();
+        return await this._github.getCommit(this.commits_url.replace('{/sha}', '/' + ref)).awaitReady();
+    }
+
+    iterateBranches() {
+        return this._github.paginate(this.awaitReady().then(() => this.branches_url.replace('{/branch}', '')), {}, this._github.createBranch);
+    }
+
+    async getBranches() {
+        return this.iterateBranches().all();
+    }
+
+    async getBranch(name) {
+        await this.awaitReady();
+        return await this._github.getBranch(this.branches_url.replace('{/branch}', '/' + name)).awaitReady();
+    }
+
+    iterateTags() {
+        return this._github.paginate(this.awaitReady().then(() => this.tags_url), {}, this._github.createTag);
+    }
+
+    async getTags() {
+        return this.iterateTags().all();
+    }
+
+    /**
+     * Compares two commits, branches or tags.
+     * @param base The base ref.
+     * @param head The head ref, or nothing for the default branch.
+     * @returns {Promise<Comparison>} The ahead/behind counts, commits and changed files.
+     */
+    async compare(base, head) {
+        await this.awaitReady();
+        const url = this.compare_url.replace('{base}', base).replace('{head}', head || this.default_branch);
+        return await this._github.getComparison(url).awaitReady();
+    }
+
+    /**
+     * The commits made since a ref (such as the last release's tag), oldest first.
+     * @param ref The base ref.
+     * @param head The head ref, or nothing for the default branch.
+     * @returns {Promise<Commit[]>}
+     */
+    async getCommitsSince(ref, head) {
+        return (await this.compare(ref, head)).getCommits();
+    }
+}
+
+/**
+ * An object representing a commit.
+ * Commits from a list do not have their files or stats until `getFiles` or `getStats` is used.
+ */
+class Commit extends Git {
+    url;
+    sha;
+    node_id;
+    html_url;
+    comments_url;
+    commit = {};
+    author = {};
+    committer = {};
+    parents = [];
+    stats;
+    files;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getMessage() {
+        await this.awaitReady();
+        return this.commit.message || '';
+    }
+
+    /**
+     * The first line of the commit message.
+     */
+    async getTitle() {
+        return (await this.getMessage()).split('\n')[0];
+    }
+
+    getDate() {
+        const details = this.commit.committer || this.commit.author;
+        return details ? new Date(details.date) : null;
+    }
+
+    /**
+     * The GitHub user who wrote this commit.
+     * @returns {Promise<null|User>} The user, or nothing if the author's email is not linked to an account.
+     */
+    async getAuthor() {
+        await this.awaitReady();
+        return this['author'] && this['author'].login ? await this._github.getUserByName(this['author'].login).awaitReady() : null;
+    }
+
+    async getCommitter() {
+        await this.awaitReady();
+        return this['committer'] && this['committer'].login ? await this._github.getUserByName(this['committer'].login).awaitReady() : null;
+    }
+
+    async getParents() {
+        await this.awaitReady();
+        return this.parents.map(parent => this._github.getCommit(parent.url));
+    }
+
+    /**
+     * Requests the full commit, if this one came from a list.
+     */
+    async loadDetails() {
+        await this.awaitReady();
+        if (this.files) return this;
+        if (!this._details) this._details = this._github.request(this.url).then(data => Object.assign(this, data));
+        await this._details;
+        return this;
+    }
+
+    /**
+     * The files changed by this commit, with their status, line counts and patch.
+     * @returns {Promise<File[]>}
+     */
+    async getFiles() {
+        await this.loadDetails();
+        return this._github.createFile(this.files || []);
+    }
+
+    async getStats() {
+        await this.loadDetails();
+        return this.stats || {additions: 0, deletions: 0, total: 0};
+    }
+
+}
+
+/**
+ * An object representing a branch.
+ */
+class Branch extends Git {
+    name;
+    commit = {};
+    protected;
+    protection_url;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getCommit() {
+        await this.awaitReady();
+        return await this._github.getCommit(this.commit.url).awaitReady();
+    }
+
+}
+
+/**
+ * An object representing a tag.
+ */
+class Tag extends Git {
+    name;
+    node_id;
+    commit = {};
+    zipball_url;
+    tarball_url;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getCommit() {
+        await this.awaitReady();
+        return await this._github.getCommit(this.commit.url).awaitReady();
+    }
+
+}
+
+/**
+ * An object representing the comparison of two commits, such as a tag and a branch.
+ */
+class Comparison extends Git {
+    url;
+    html_url;
+    permalink_url;
+    diff_url;
+    patch_url;
+    base_commit = {};
+    merge_base_commit = {};
+    status;
+    ahead_by;
+    behind_by;
+    total_commits;
+    commits = [];
+    files = [];
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    /**
+     * The commits in the head but not the base, oldest first.
+     */
+    iterateCommits() {
+        return this._github.paginate(this.awaitReady().then(() => this.url), {}, this._github.createCommit, 'commits');
+    }
+
+    async getCommits() {
+        await this.awaitReady();
+        if (this.commits.length >= this.total_commits) return this._github.createCommit(this.commits);
+        return this.iterateCommits().all();
+    }
+
+    /**
+     * The files changed between the base and the head, with their status, line counts and patch.
+     * @returns {Promise<File[]>}
+     */
+    async getFiles() {
+        await this.awaitReady();
+        return this._github.createFile(this.files || []);
+    }
+
+    async getBaseCommit() {
+        await this.awaitReady();
+        return this._github.createCommit(this.base_commit);
+    }
+
+    async getMergeBaseCommit() {
+        await this.awaitReady();
+        return this._github.createCommit(this.merge_base_commit);
+    }
+
+    async getAheadBy() {
+        await this.awaitReady();
+        return this.ahead_by;
+    }
+
+    async getBehindBy() {
+        await this.awaitReady();
+        return this.behind_by;
+    }
+
+}
+
+/**
+ * Finds the `owner/name` of a repository from one of its API URLs.
+ * @param url The URL, e.g. `https://api.github.com/repos/owner/name/issues/1`
+ * @returns {null|string} The full name, or nothing if the URL is not for a repository.
+ */
+function getRepositoryName(url) {
+    const match = /\/repos\/([^/]+\/[^/?#]+)/.exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * An object representing an issue.
+ * Pull requests are also issues, and are included when listing a repository's issues.
+ */
+class Issue extends Git {
+    url;
+    repository_url;
+    labels_url;
+    comments_url;
+    events_url;
+    timeline_url;
+    html_url;
+    id;
+    node_id;
+    number;
+    title;
+    user = {};
+    labels = [];
+    state;
+    state_reason;
+    locked;
+    assignee;
+    assignees = [];
+    milestone;
+    comments;
+    created_at;
+    updated_at;
+    closed_at;
+    author_association;
+    active_lock_reason;
+    body;
+    reactions = {};
+    pull_request;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getAuthor() {
+        await this.awaitReady();
+        return await this._github.getUserByName(this['user'].login).awaitReady();
+    }
+
+    async getAssignees() {
+        await this.awaitReady();
+        return this.assignees.map(user => this._github.getUserByName(user.login));
+    }
+
+    async getRepository() {
+        await this.awaitReady();
+        return await this._github.getRepository(getRepositoryName(this.repository_url || this.url)).awaitReady();
+    }
+
+    async getLabels() {
+        await this.awaitReady();
+        return this._github.createLabel(this.labels);
+    }
+
+    async getMilestone() {
+        await this.awaitReady();
+        return this.milestone ? this._github.createMilestone(this.milestone) : null;
+    }
+
+    iterateComments() {
+        return this._github.paginate(this.awaitReady().then(() => this.comments_url), {}, this._github.createComment);
+    }
+
+    async getComments() {
+        return this.iterateComments().all();
+    }
+
+    /**
+     * The timeline of this issue: comments, labels, references, commits and so on.
+     */
+    iterateTimeline() {
+        return this._github.paginate(this.awaitReady().then(() => this.timeline_url || this.url + '/timeline'), {}, this._github.createTimelineEvent);
+    }
+
+    async getTimeline() {
+        return this.iterateTimeline().all();
+    }
+
+    async isPullRequest() {
+        await this.awaitReady();
+        return !!this.pull_request;
+    }
+
+    /**
+     * The pull request this issue belongs to.
+     * @returns {Promise<null|PullRequest>} The pull request, or nothing if this is just an issue.
+     */
+    async getPullRequest() {
+        await this.awaitReady();
+        if (!this.pull_request) return null;
+        return await this._github.getPullRequest(this.pull_request.url).awaitReady();
+    }
+
+    isOpen() {
+        return this.state === 'open';
+    }
+
+}
+
+/**
+ * An object representing a pull request.
+ */
+class PullRequest extends Issue {
+    diff_url;
+    patch_url;
+    issue_url;
+    commits_url;
+    review_comments_url;
+    review_comment_url;
+    statuses_url;
+    requested_reviewers = [];
+    requested_teams = [];
+    head = {};
+    base = {};
+    merged_at;
+    merge_commit_sha;
+    auto_merge;
+    draft;
+    merged;
+    mergeable;
+    rebaseable;
+    mergeable_state;
+    merged_by;
+    review_comments;
+    maintainer_can_modify;
+    commits;
+    additions;
+    deletions;
+    changed_files;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getRepository() {
+        await this.awaitReady();
+        return await this._github.getRepository(this.base.repo ? this.base.repo.full_name : getRepositoryName(this.url)).awaitReady();
+    }
+
+    /**
+     * The issue for this pull request, which holds its comments, labels and timeline.
+     */
+    async getIssue() {
+        await this.awaitReady();
+        return await this._github.getIssue(this.issue_url).awaitReady();
+    }
+
+    iterateComments() {
+        return this._github.paginate(this.awaitReady().then(() => this.comments_url || this.issue_url + '/comments'), {}, this._github.createComment);
+    }
+
+    iterateTimeline() {
+        return this._github.paginate(this.awaitReady().then(() => this.issue_url + '/timeline'), {}, this._github.createTimelineEvent);
+    }
+
+    iterateReviews() {
+        return this._github.paginate(this.awaitReady().then(() => this.url + '/reviews'), {}, this._github.createReview);
+    }
+
+    async getReviews() {
+        return this.iterateReviews().all();
+    }
+
+    /**
+     * The comments left on the changed lines, as opposed to the conversation.
+     */
+    iterateReviewComments() {
+        return this._github.paginate(this.awaitReady().then(() => this.review_comments_url), {}, this._github.createComment);
+    }
+
+    async getReviewComments() {
+        return this.iterateReviewComments().all();
+    }
+
+    /**
+     * The files changed by this pull request, with their status, line counts and patch.
+     */
+    iterateFiles() {
+        return this._github.paginate(this.awaitReady().then(() => this.url + '/files'), {}, this._github.createFile);
+    }
+
+    async getFiles() {
+        return this.iterateFiles().all();
+    }
+
+    async isPullRequest() {
+        return true;
+    }
+
+    async getPullRequest() {
+        return this;
+    }
+
+    async isMerged() {
+        await this.awaitReady();
+        return !!(this.merged || this.merged_at);
+    }
+
+}
+
+/**
+ * An object representing an issue label.
+ */
+class Label extends Git {
+    id;
+    node_id;
+    url;
+    name;
+    description;
+    color;
+    default;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+}
+
+/**
+ * An object representing a milestone.
+ */
+class Milestone extends Git {
+    url;
+    html_url;
+    labels_url;
+    id;
+    node_id;
+    number;
+    state;
+    title;
+    description;
+    creator = {};
+    open_issues;
+    closed_issues;
+    created_at;
+    updated_at;
+    closed_at;
+    due_on;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getCreator() {
+        await this.awaitReady();
+        return await this._github.getUserByName(this['creator'].login).awaitReady();
+    }
+
+    async getRepository() {
+        await this.awaitReady();
+        return await this._github.getRepository(getRepositoryName(this.url)).awaitReady();
+    }
+
+    async getIssues({state = 'all', ...query} = {}) {
+        const repository = await this.getRepository();
+        return repository.getIssues({...query, state: state, milestone: this.number});
+    }
+
+    getDueDate() {
+        return this.due_on ? new Date(this.due_on) : null;
+    }
+
+}
+
+/**
+ * An object representing a comment on an issue, pull request, commit or gist.
+ */
+class Comment extends Git {
+    id;
+    node_id;
+    url;
+    html_url;
+    issue_url;
+    body;
+    user = {};
+    created_at;
+    updated_at;
+    author_association;
+    reactions = {};
+    _author;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getAuthor() {
+        if (this._author) return this._author;
+        await this.awaitReady();
+        return await this._github.getUserByName(this['user'].login).awaitReady();
+    }
+
+    getDate() {
+        return new Date(this.created_at);
+    }
+
+}
+
+/**
+ * An object representing a review of a pull request.
+ */
+class Review extends Comment {
+    state;
+    commit_id;
+    submitted_at;
+    pull_request_url;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    getDate() {
+        return new Date(this.submitted_at);
+    }
+
+}
+
+/**
+ * An object representing an entry in the timeline of an issue, such as a label being added or a commit being pushed.
+ */
+class TimelineEvent extends Git {
+    id;
+    node_id;
+    url;
+    event;
+    actor = {};
+    commit_id;
+    commit_url;
+    created_at;
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getActor() {
+        await this.awaitReady();
+        const actor = this['actor'] || this['user'];
+        return actor ? await this._github.getUserByName(actor.login).awaitReady() : null;
+    }
+
+    getDate() {
+        return new Date(this.created_at || this.submitted_at);
+    }
+
+}
+
+/**
+ * An object representing a release.
+ */
+class Release extends Git {
+    url;
+    html_url;
+    assets_url;
+    upload_url;
+    tarball_url;
+    zipball_url;
+    id;
+    node_id;
+    tag_name;
+    target_commitish;
+    name;
+    body;
+    draft;
+    prerelease;
+    created_at;
+    published_at;
+    author = {};
+    assets = [];
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getAuthor() {
+        await this.awaitReady();
+        return await this._github.getUserByName(this['author'].login).awaitReady();
+    }
+
+    async getVersion() {
+        await this.awaitReady();
+        return this.tag_name || '';
+    }
+
+    /**
+     * Checks whether this release's tag is in a version range, e.g. `^2.1`.
+     * @param range The range, in the same syntax as npm.
+     * @param prerelease Whether any pre-release in the range matches.
+     * @returns {Promise<boolean>}
+     */
+    async satisfies(range, {prerelease = false} = {}) {
+        await this.awaitReady();
+        const version = parseVersion(this.tag_name);
+        return !!version && satisfiesRange(version, range, prerelease);
+    }
+
+    getDate() {
+        return new Date(this.published_at || this.created_at);
+    }
+
+    async getAssets() {
+        await this.awaitReady();
+        return this._github.createReleaseAsset(this.assets || []);
+    }
+
+    async getAsset(name) {
+        for (const asset of await this.getAssets()) if (asset.name === name) return asset;
+        return null;
+    }
+
+    /**
+     * The total number of times the assets of this release have been downloaded.
+     */
+    async getDownloadCount() {
+        let count = 0;
+        for (const asset of await this.getAssets()) count += asset.download_count || 0;
+        return count;
+    }
+
+}
+
+/**
+ * An object representing a file attached to a release.
+ */
+class ReleaseAsset extends Git {
+    url;
+    browser_download_url;
+    id;
+    node_id;
+    name;
+    label;
+    state;
+    content_type;
+    size;
+    download_count;
+    created_at;
+    updated_at;
+    uploader = {};
+
+    constructor(request, github) {
+        super(request, github);
+    }
+
+    async awaitReady() {
+        return super.awaitReady();
+    }
+
+    async getUploader() {
+        await this.awaitReady();
+        return await this._github.getUserByName(this['uploader'].login).awaitReady();
+    }
+
+    /**
+     * Downloads this asset through the API, which (unlike the browser download URL) works across origins.
+     * @returns {Promise<null|Response>} The response, or nothing if the download failed.
+     */
+    async download() {
+        await this.awaitReady();
+        return this._github.requestRaw(this.url, {'Accept': 'application/octet-stream'});
+    }
+
+    async arrayBuffer() {
+        const response = await this.download();
+        return response ? response.arrayBuffer() : null;
+    }
+
+    async blob() {
+        const response = await this.download();
+        if (!response) return null;
+        const blob = await response.blob();
+        return this.content_type && blob.type !== this.content_type ? new Blob([blob], {type: this.content_type}) : blob;
+    }
+
+}
+
+/**
+ * The classes of the model objects by name, for rebuilding them from JSON.
+ */
+const modelTypes = {
+    User, Organisation, Team, Repository, Gist, File, Directory, Event, PushEvent, PullRequestEvent, IssuesEvent, IssueCommentEvent,
+    CreateEvent, DeleteEvent, ReleaseEvent, WatchEvent, ForkEvent, Issue, PullRequest, Label, Milestone, Comment, Review,
+    TimelineEvent, Commit, Branch, Tag, Comparison, Release, ReleaseAsset
+};
+
+/**
+ * A bounded cache of one type of object.
+ * Entries expire after the time-to-live, and the least recently used entries are dropped once the cache is full.
+ *
+ * If a storage backend is given, entries are also written to it so they outlive the page. These must be plain data,
+ * and can only be read back from the storage through `load`.
+ */
+class Cache {
+    ttl;
+    max_size;
+    storage;
+    /**
+     * The function to call with an error from the storage backend, which is written to in the background.
+     * Without one, or if it throws, the error is logged.
+     */
+    onError;
+    _entries = new Map();
+
+    /**
+     * @param ttl The time (in milliseconds) an entry is kept for, or nothing to keep entries until they are evicted.
+     * @param max_size The maximum number of entries kept in memory, or nothing for no limit.
+     * @param storage The storage backend to persist entries to, or nothing to keep them only in memory.
+     * @param onError The function to call with an error from the storage backend.
+     */
+    constructor({ttl = null, max_size = null, storage = null, onError = null} = {}) {
+        this.ttl = ttl;
+        this.max_size = max_size;
+        this.storage = storage;
+        this.onError = onError;
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    put(id, object) {
+        const entry = {value: object, expires: this.ttl ? Date.now() + this.ttl : null};
+        this._entries.delete(id);
+        this._entries.set(id, entry);
+        while (this.max_size && this._entries.size > this.max_size) this._entries.delete(this._entries.keys().next().value);
+        if (this.storage) Promise.resolve()
+            .then(() => this.storage.set(id, entry))
+            .catch(error => this.reportError(error));
+        return object;
+    }
+
+    get(id) {
+        const entry = this._entries.get(id);
+        if (!entry) return null;
+        if (entry.expires != null && entry.expires <= Date.now()) {
+            this.delete(id);
+            return null;
+        }
+        this._entries.delete(id);
+        this._entries.set(id, entry);
+        return entry.value;
+    }
+
+    has(id) {
+        const entry = this._entries.get(id);
+        return !!entry && (entry.expires == null || entry.expires > Date.now());
+    }
+
+    /**
+     * Gets an entry from memory, or from the storage backend if it is not in memory.
+     * @param id The entry's key.
+     * @returns {Promise<null|*>} The entry, or nothing if it is not cached.
+     */
+    async load(id) {
+        if (this.has(id) || !this.storage) return this.get(id);
+        const entry = await Promise.resolve(this.storage.get(id)).catch(() => null);
+        if (!entry) return null;
+        if (entry.expires != null && entry.expires <= Date.now()) {
+            this.delete(id);
+            return null;
+        }
+        this._entries.set(id, entry);
+        while (this.max_size && this._entries.size > this.max_size) this._entries.delete(this._entries.keys().next().value);
+        return entry.value;
+    }
+
+    delete(id) {
+        this._entries.delete(id);
+        if (this.storage) Promise.resolve()
+            .then(() => this.storage.delete(id))
+            .catch(error => this.reportError(error));
+    }
+
+    reportError(error) {
+        try {
+            if (this.onError) return this.onError(error);
+        } catch (thrown) {
+            error = thrown;
+        }
+        console.error(error);
+    }
+
+    keys() {
+        return Array.from(this._entries.keys());
+    }
+
+    /**
+     * Removes every entry whose key (or value) matches.
+     * @param filter A test for the key and value of each entry.
+     * @returns {Promise} A promise that completes when the entries are also removed from the storage backend.
+     */
+    async deleteMatching(filter) {
+        for (const [id, entry] of Array.from(this._entries)) if (filter(id, entry.value)) this._entries.delete(id);
+        if (!this.storage) return;
+        for (const id of await this.storage.keys()) if (filter(id)) await this.storage.delete(id);
+    }
+
+    async clear() {
+        this._entries.clear();
+        if (this.storage) await this.storage.clear();
+    }
+
+}
+
+/**
+ * A storage backend using `localStorage` or `sessionStorage`.
+ * Entries are stored as JSON under a prefix, so other data in the storage is left alone.
+ * If the storage is full, its cache entries are cleared to make room.
+ */
+class WebStorage {
+    storage;
+    prefix;
+
+    constructor(storage = globalThis.localStorage, prefix = 'github-connect:') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        const value = this.storage.getItem(this.prefix + key);
+        return value == null ? null : JSON.parse(value);
+    }
+
+    set(key, value) {
+        const json = JSON.stringify(value);
+        try {
+            this.storage.setItem(this.prefix + key, json);
+        } catch (error) {
+            this.clear();
+            this.storage.setItem(this.prefix + key, json);
+        }
+    }
+
+    delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(this.prefix)) keys.push(key.substring(this.prefix.length));
+        }
+        return keys;
+    }
+
+    clear() {
+        for (const key of this.keys()) this.delete(key);
+    }
+
+}
+
+/**
+ * A storage backend using IndexedDB, which suits larger caches than `localStorage`.
+ */
+class IndexedDBStorage {
+    name;
+    store;
+    _database;
+
+    constructor(name = 'github-connect', store = 'cache') {
+        this.name = name;
+        this.store = store;
+    }
+
+    async getDatabase() {
+        if (this._database) return this._database;
+        return this._database = new Promise((resolve, reject) => {
+            const request = globalThis.indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(mode, action) {
+        const database = await this.getDatabase();
+        return new Promise((resolve, reject) => {
+            const request = action(database.transaction(this.store, mode).objectStore(this.store));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this.transaction('readonly', store => store.getAllKeys());
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+}
+
+/**
+ * The caches of a client: one for each type of object, and one for request data.
+ * Clients may share these.
+ *
+ * Only the request cache is given the storage backend, since the other caches hold live objects.
+ * A custom backend needs `get`, `set`, `delete`, `keys` and `clear` methods, which may return promises.
+ */
+class ClientCache {
+
+    /**
+     * The default time (in milliseconds) entries of each cache are kept for.
+     */
+    static ttl = {users: 3600000, repositories: 600000, gists: 600000, requests: 86400000};
+    /**
+     * The default maximum number of entries in each cache.
+     */
+    static max_size = {users: 500, repositories: 500, gists: 200, requests: 1000};
+
+    users;
+    repositories;
+    gists;
+    requests;
+
+    /**
+     * @param ttl The time (in milliseconds) entries are kept for, either for every cache or an object by cache name.
+     * @param max_size The maximum number of entries, either for every cache or an object by cache name.
+     * @param storage The storage backend for the request cache, or nothing to keep it in memory.
+     * @param onError The function to call with an error from the storage backend.
+     */
+    constructor({ttl = {}, max_size = {}, storage = null, onError = null} = {}) {
+        const option = (value, defaults, type) => {
+            if (value == null || typeof value !== 'object') return value;
+            return type in value ? value[type] : defaults[type];
+        };
+        for (const type of ['users', 'repositories', 'gists', 'requests']) this[type] = new Cache({
+            ttl: option(ttl, ClientCache.ttl, type),
+            max_size: option(max_size, ClientCache.max_size, type),
+            storage: type === 'requests' ? storage : null,
+            onError: onError
+        });
+    }
+
+    /**
+     * Caches an object in the cache for its type.
+     * @param id The ID or name of the object.
+     * @param object The object.
+     */
+    put(id, object) {
+        if (object instanceof User) this.users.put(id, object);
+        else if (object instanceof Repository) this.repositories.put(id, object);
+        else if (object instanceof Gist) this.gists.put(id, object);
+        return object;
+    }
+
+    /**
+     * Removes an object from the caches, along with any requests for it (or its sub-resources, like a repository's languages)
+     * so that it will be requested again.
+     * @param target The object, or the API URL or path of the requests to remove.
+     * @returns {Promise} A promise that completes when the requests are also removed from the storage backend.
+     */
+    async invalidate(target) {
+        let url = target;
+        if (target instanceof Git) {
+            url = target.url;
+            const keys = [target.id + '', target.login, target.full_name].filter(key => key != null);
+            const filter = (id, value) => value === target || keys.includes(id);
+            if (target instanceof User) await this.users.deleteMatching(filter);
+            else if (target instanceof Repository) await this.repositories.deleteMatching(filter);
+            else if (target instanceof Gist) await this.gists.deleteMatching(filter);
+        }
+        if (!url) return;
+        const path = url.replace(/^https?:\/\/[^/]+(\/api\/v3)?/, '');
+        await this.requests.deleteMatching(id => id === path || id.startsWith(path + '/') || id.startsWith(path + '?'));
+    }
+
+    async clear() {
+        await Promise.all([this.users.clear(), this.repositories.clear(), this.gists.clear(), this.requests.clear()]);
+    }
+
+}
+
+/**
+ * The fields requested for each type of object through the GraphQL API.
+ * Counts that are not fields in GraphQL are aliased, so that they do not clash with the lists of the same name.
+ */
+const graphqlFragments = {
+    User: `fragment UserFields on User {
+    login databaseId id avatarUrl url name company websiteUrl location email isHireable bio twitterUsername isSiteAdmin
+    createdAt updatedAt followers { totalCount } following { totalCount } gists(privacy: PUBLIC) { totalCount }
+    public_repositories: repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+}`,
+    Organization: `fragment OrganizationFields on Organization {
+    login databaseId id avatarUrl url name description websiteUrl location email twitterUsername isVerified createdAt updatedAt
+    public_repositories: repositories(privacy: PUBLIC) { totalCount }
+}`,
+    Repository: `fragment RepositoryFields on Repository {
+    databaseId id name nameWithOwner isPrivate url description isFork createdAt updatedAt pushedAt homepageUrl diskUsage
+    stargazerCount forkCount hasIssuesEnabled hasProjectsEnabled hasWikiEnabled isArchived isDisabled isTemplate forkingAllowed visibility
+    owner { __typename login id avatarUrl url ... on User { databaseId } ... on Organization { databaseId } }
+    primaryLanguage { name } licenseInfo { key name spdxId url } defaultBranchRef { name } watchers { totalCount }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    open_issues: issues(states: OPEN) { totalCount } open_pull_requests: pullRequests(states: OPEN) { totalCount }
+    languages(first: 100, orderBy: {field: SIZE, direction: DESC}) { edges { size node { name } } }
+}`
+};
+
+/**
+ * The GraphQL selection of a user's or organisation's own repositories, a page at a time.
+ * Users' lists are public only, the same as their REST `repos_url`.
+ * @param kind Either `user` or `organisation`.
+ * @param after Whether the page starts after a `$cursor` variable.
+ * @returns {string} The selection.
+ */
+function graphqlRepositoryList(kind, after = false) {
+    return 'repository_list: repositories(first: 100' + (after ? ', after: $cursor' : '') + ', ownerAffiliations: OWNER'
+        + (kind === 'user' ? ', privacy: PUBLIC' : '') + ', orderBy: {field: NAME, direction: ASC}) '
+        + '{ pageInfo { hasNextPage endCursor } nodes { ...RepositoryFields } }';
+}
+
+const totalCount = (connection) => connection ? connection.totalCount : 0;
+
+/**
+ * Converts a GraphQL user into the data the REST API gives for it, including the API URLs its methods use.
+ * @param node The user from GraphQL.
+ * @param api The API (or proxy) URL of the client.
+ * @returns {{}} The REST data.
+ */
+function fromGraphQLUser(node, api) {
+    const url = api + '/users/' + node.login;
+    return {
+        login: node.login,
+        id: node.databaseId,
+        node_id: node.id,
+        avatar_url: node.avatarUrl,
+        url: url,
+        html_url: node.url,
+        followers_url: url + '/followers',
+        following_url: url + '/following{/other_user}',
+        gists_url: url + '/gists{/gist_id}',
+        starred_url: url + '/starred{/owner}{/repo}',
+        subscriptions_url: url + '/subscriptions',
+        organizations_url: url + '/orgs',
+        repos_url: url + '/repos',
+        events_url: url + '/events{/privacy}',
+        received_events_url: url + '/received_events',
+        type: 'User',
+        site_admin: node.isSiteAdmin,
+        name: node.name,
+        company: node.company,
+        blog: node.websiteUrl || '',
+        location: node.location,
+        email: node.email || null,
+        hireable: node.isHireable,
+        bio: node.bio,
+        twitter_username: node.twitterUsername,
+        public_repos: totalCount(node.public_repositories),
+        public_gists: totalCount(node.gists),
+        followers: totalCount(node.followers),
+        following: totalCount(node.following),
+        created_at: node.createdAt,
+        updated_at: node.updatedAt
+    };
+}
+
+/**
+ * Converts a GraphQL organisation into the data the REST API gives for it.
+ * @param node The organisation from GraphQL.
+ * @param api The API (or proxy) URL of the client.
+ * @returns {{}} The REST data.
+ */
+function fromGraphQLOrganisation(node, api) {
+    const url = api + '/orgs/' + node.login;
+    return {
+        login: node.login,
+        id: node.databaseId,
+        node_id: node.id,
+        url: url,
+        repos_url: url + '/repos',
+        events_url: url + '/events',
+        hooks_url: url + '/hooks',
+        issues_url: url + '/issues',
+        members_url: url + '/members{/member}',
+        public_members_url: url + '/public_members{/member}',
+        avatar_url: node.avatarUrl,
+        description: node.description,
+        name: node.name,
+        blog: node.websiteUrl || '',
+        location: node.location,
+        email: node.email || null,
+        twitter_username: node.twitterUsername,
+        is_verified: node.isVerified,
+        public_repos: totalCount(node.public_repositories),
+        html_url: node.url,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        type: 'Organization'
+    };
+}
+
+/**
+ * Converts a GraphQL repository into the data the REST API gives for it.
+ * Its languages are kept as well, so that `getLanguages` does not need another request.
+ * @param node The repository from GraphQL.
+ * @param api The API (or proxy) URL of the client.
+ * @returns {{}} The REST data.
+ */
+function fromGraphQLRepository(node, api) {
+    const url = api + '/repos/' + node.nameWithOwner, owner = node.owner || {}, host = node.url.replace(/^https?:\/\//, '').split('/')[0];
+    const languages = {};
+    if (node.languages) for (const edge of node.languages.edges) languages[edge.node.name] = edge.size;
+    return {
+        id: node.databaseId,
+        node_id: node.id,
+        name: node.name,
+        full_name: node.nameWithOwner,
+        private: node.isPrivate,
+        owner: {
+            login: owner.login,
+            id: owner.databaseId,
+            node_id: owner.id,
+            avatar_url: owner.avatarUrl,
+            url: api + '/users/' + owner.login,
+            html_url: owner.url,
+            type: owner.__typename
+        },
+        html_url: node.url,
+        description: node.description,
+        fork: node.isFork,
+        url: url,
+        forks_url: url + '/forks',
+        keys_url: url + '/keys{/key_id}',
+        collaborators_url: url + '/collaborators{/collaborator}',
+        teams_url: url + '/teams',
+        hooks_url: url + '/hooks',
+        issue_events_url: url + '/issues/events{/number}',
+        events_url: url + '/events',
+        assignees_url: url + '/assignees{/user}',
+        branches_url: url + '/branches{/branch}',
+        tags_url: url + '/tags',
+        blobs_url: url + '/git/blobs{/sha}',
+        git_tags_url: url + '/git/tags{/sha}',
+        git_refs_url: url + '/git/refs{/sha}',
+        trees_url: url + '/git/trees{/sha}',
+        statuses_url: url + '/statuses/{sha}',
+        languages_url: url + '/languages',
+        stargazers_url: url + '/stargazers',
+        contributors_url: url + '/contributors',
+        subscribers_url: url + '/subscribers',
+        subscription_url: url + '/subscription',
+        commits_url: url + '/commits{/sha}',
+        git_commits_url: url + '/git/commits{/sha}',
+        comments_url: url + '/comments{/number}',
+        issue_comment_url: url + '/issues/comments{/number}',
+        contents_url: url + '/contents/{+path}',
+        compare_url: url + '/compare/{base}...{head}',
+        merges_url: url + '/merges',
+        archive_url: url + '/{archive_format}{/ref}',
+        downloads_url: url + '/downloads',
+        issues_url: url + '/issues{/number}',
+        pulls_url: url + '/pulls{/number}',
+        milestones_url: url + '/milestones{/number}',
+        notifications_url: url + '/notifications{?since,all,participating}',
+        labels_url: url + '/labels{/name}',
+        releases_url: url + '/releases{/id}',
+        deployments_url: url + '/deployments',
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        pushed_at: node.pushedAt,
+        git_url: 'git://' + host + '/' + node.nameWithOwner + '.git',
+        ssh_url: 'git@' + host + ':' + node.nameWithOwner + '.git',
+        clone_url: node.url + '.git',
+        svn_url: node.url,
+        homepage: node.homepageUrl,
+        size: node.diskUsage,
+        stargazers_count: node.stargazerCount,
+        watchers_count: node.stargazerCount,
+        language: node.primaryLanguage ? node.primaryLanguage.name : null,
+        has_issues: node.hasIssuesEnabled,
+        has_projects: node.hasProjectsEnabled,
+        has_wiki: node.hasWikiEnabled,
+        archived: node.isArchived,
+        disabled: node.isDisabled,
+        forks_count: node.forkCount,
+        open_issues_count: totalCount(node.open_issues) + totalCount(node.open_pull_requests),
+        license: node.licenseInfo ? {
+            key: node.licenseInfo.key,
+            name: node.licenseInfo.name,
+            spdx_id: node.licenseInfo.spdxId,
+            url: node.licenseInfo.url
+        } : null,
+        allow_forking: node.forkingAllowed,
+        is_template: node.isTemplate,
+        topics: node.repositoryTopics ? node.repositoryTopics.nodes.map(item => item.topic.name) : [],
+        visibility: node.visibility ? node.visibility.toLowerCase() : null,
+        forks: node.forkCount,
+        open_issues: totalCount(node.open_issues) + totalCount(node.open_pull_requests),
+        watchers: node.stargazerCount,
+        default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : null,
+        subscribers_count: totalCount(node.watchers),
+        _languages: node.languages ? languages : undefined
+    };
+}
+
+/**
+ * Loads users, organisations and repositories through the GraphQL API.
+ * Everything asked for before the batch is sent (on the next tick, or by `load`) goes into a single query.
+ *
+ * The objects are given straight away and are ready once the query has been answered.
+ * They are cached just like the objects requested through the REST API, and come with their languages,
+ * and (if asked for) their owner's repositories, so that methods like `User.getLanguages` need no more requests.
+ *
+ * The GraphQL API needs the client to have a token.
+ */
+class GraphQLBatch {
+    /**
+     * The most objects sent in one query. Larger batches are split, to stay within GraphQL's limits.
+     */
+    max_size = 20;
+
+    _github;
+    _entries = [];
+    _scheduled = null;
+
+    /**
+     * @param github The client to send the queries with.
+     */
+    constructor(github = GitHub.default) {
+        this._github = github;
+    }
+
+    /**
+     * Adds a user to the batch.
+     * @param login The user's login.
+     * @param repositories Whether to also load the user's public repositories.
+     * @returns {User} The user, which is ready once the batch has been answered.
+     */
+    getUser(login, {repositories = false} = {}) {
+        return this.enqueue('user', login, {repositories: repositories});
+    }
+
+    /**
+     * Adds an organisation to the batch.
+     * @param login The organisation's login.
+     * @param repositories Whether to also load the organisation's repositories.
+     * @returns {Organisation} The organisation, which is ready once the batch has been answered.
+     */
+    getOrganisation(login, {repositories = false} = {}) {
+        return this.enqueue('organisation', login, {repositories: repositories});
+    }
+
+    /**
+     * Adds a repository to the batch.
+     * @param user The owner's login, or the full name (e.g. `octocat/hello-world`).
+     * @param name The repository's name, if the full name was not given.
+     * @returns {Repository} The repository, which is ready once the batch has been answered.
+     */
+    getRepository(user, name) {
+        return this.enqueue('repository', name ? user + '/' + name : user, {});
+    }
+
+    /**
+     * Gives a cached object if it has everything asked for, otherwise queues a new one.
+     */
+    enqueue(kind, id, options) {
+        const github = this._github, cache = kind === 'repository' ? github.cache.repositories : github.cache.users;
+        if (github.cache_objects && cache.has(id)) {
+            const cached = cache.get(id);
+            if (!options.repositories || cached._repositories != null) return cached;
+        }
+        const entry = {kind: kind, id: id, options: options};
+        const request = new Promise((resolve, reject) => Object.assign(entry, {resolve: resolve, reject: reject}));
+        const object = new (kind === 'user' ? User : kind === 'organisation' ? Organisation : Repository)(request, github);
+        if (options.repositories) {
+            object._repositories = new Promise((resolve, reject) => entry.repositories = {resolve: resolve, reject: reject});
+            object._repositories.catch(() => null);
+        }
+        entry.object = object;
+        this._entries.push(entry);
+        if (github.cache_objects) github.cacheObject(cache, id, object);
+        if (!this._scheduled) this._scheduled = sleep(0).then(() => this.load());
+        return object;
+    }
+
+    /**
+     * Sends everything in the batch now, rather than on the next tick.
+     * @returns {Promise<Git[]>} The objects that were sent, once they are ready (or have failed).
+     */
+    async load() {
+        this._scheduled = null;
+        const entries = this._entries.splice(0);
+        for (let i = 0; i < entries.length; i += this.max_size) await this.send(entries.slice(i, i + this.max_size));
+        return entries.map(entry => entry.object);
+    }
+
+    /**
+     * Queries the objects of a batch, and resolves (or rejects) each of them with its part of the answer.
+     * @param entries The queued objects.
+     */
+    async send(entries) {
+        const declarations = [], fields = [], variables = {}, types = new Set();
+        entries.forEach((entry, index) => {
+            const alias = 'a' + index;
+            if (entry.kind === 'repository') {
+                const [owner, name] = entry.id.split('/');
+                declarations.push('$' + alias + '_owner: String!', '$' + alias + '_name: String!');
+                variables[alias + '_owner'] = owner;
+                variables[alias + '_name'] = name;
+                fields.push(alias + ': repository(owner: $' + alias + '_owner, name: $' + alias + '_name) { ...RepositoryFields }');
+                types.add('Repository');
+            } else {
+                const type = entry.kind === 'user' ? 'User' : 'Organization';
+                declarations.push('$' + alias + ': String!');
+                variables[alias] = entry.id;
+                fields.push(alias + ': ' + type.toLowerCase() + '(login: $' + alias + ') { ...' + type + 'Fields'
+                    + (entry.options.repositories ? ' ' + graphqlRepositoryList(entry.kind) : '') + ' }');
+                types.add(type);
+                if (entry.options.repositories) types.add('Repository');
+            }
+        });
+        const query = 'query(' + declarations.join(', ') + ') {\n' + fields.join('\n') + '\n}\n'
+            + [...types].map(type => graphqlFragments[type]).join('\n');
+        let data, errors = [];
+        try {
+            data = await this._github.graphql(query, variables, {strict: true});
+        } catch (error) {
+            if (!(error instanceof GraphQLError) || !error.data) {
+                for (const entry of entries) this.reject(entry, error);
+                return;
+            }
+            data = error.data;
+            errors = error.errors || [];
+        }
+        await Promise.all(entries.map(async (entry, index) => {
+            const node = data['a' + index];
+            if (node) return this.resolve(entry, node);
+            const error = errors.find(error => error.path && error.path[0] === 'a' + index) || {message: 'Could not resolve ' + entry.id};
+            const options = {status: 200, method: 'POST', url: '/graphql', errors: [error]};
+            this.reject(entry, error.type === 'NOT_FOUND' ? new NotFoundError(error.message, options) : new GraphQLError(error.message, options));
+        }));
+    }
+
+    async resolve(entry, node) {
+        const github = this._github, object = entry.object;
+        if (entry.kind === 'repository') entry.resolve(fromGraphQLRepository(node, github.url));
+        else entry.resolve((entry.kind === 'user' ? fromGraphQLUser : fromGraphQLOrganisation)(node, github.url));
+        await object.awaitReady();
+        if (github.cache_objects) github.cache.put(object.id + '', object);
+        if (entry.repositories) await this.loadRepositories(entry, node.repository_list)
+            .then(entry.repositories.resolve, entry.repositories.reject);
+    }
+
+    reject(entry, error) {
+        entry.reject(error);
+        if (entry.repositories) entry.repositories.reject(error);
+    }
+
+    /**
+     * Creates the repositories of a user or organisation, following their pages with further queries.
+     * @param entry The queued user or organisation.
+     * @param connection The first page of repositories.
+     * @returns {Promise<Repository[]>} The repositories.
+     */
+    async loadRepositories(entry, connection) {
+        const github = this._github, list = [], type = entry.kind === 'user' ? 'user' : 'organization';
+        while (connection) {
+            for (const node of connection.nodes) {
+                const repository = github.createRepository(fromGraphQLRepository(node, github.url));
+                if (github.cache_objects) github.cache.repositories.put(repository.full_name, repository);
+                list.push(repository);
+            }
+            if (!connection.pageInfo.hasNextPage) break;
+            const data = await github.graphql('query($login: String!, $cursor: String) {\nowner: ' + type + '(login: $login) { '
+                + graphqlRepositoryList(entry.kind, true) + ' }\n}\n' + graphqlFragments.Repository, {
+                login: entry.id,
+                cursor: connection.pageInfo.endCursor
+            }, {strict: true});
+            connection = data.owner && data.owner.repository_list;
+        }
+        return list;
+    }
+
+}
+
+/**
+ * Runs the requests of a client: no more than `concurrency` at once, and the highest priority first.
+ * Identical requests that are waiting or in flight share a single request.
+ *
+ * Priorities are numbers (higher goes first) or one of `high`, `normal` and `low`,
+ * e.g. `high` for data that is on screen and `low` for prefetching.
+ */
+class Scheduler {
+    static priorities = {high: 1, normal: 0, low: -1};
+
+    /**
+     * The most requests in flight at once.
+     */
+    concurrency;
+    _active = 0;
+    _order = 0;
+    _queue = [];
+    _inflight = new Map();
+
+    /**
+     * @param concurrency The most requests in flight at once.
+     */
+    constructor({concurrency = 6} = {}) {
+        this.concurrency = concurrency;
+    }
+
+    /**
+     * Runs a task once there is room, or joins the identical task if it is already waiting or running.
+     * @param task A function of an `AbortSignal`, which gives a promise.
+     * @param key The key identical tasks share, or nothing if the task is not to be shared.
+     * @param priority The priority.
+     * @param signal A signal to stop waiting with. A shared task is only aborted once everything waiting for it has stopped.
+     * @returns {Promise<*>} The result of the task.
+     */
+    schedule(task, {key = null, priority = 'normal', signal = null} = {}) {
+        if (signal && signal.aborted) return Promise.reject(signal.reason);
+        const level = typeof priority === 'number' ? priority : (Scheduler.priorities[priority] || 0);
+        let job = key != null ? this._inflight.get(key) : null;
+        if (!job) {
+            job = {task: task, key: key, priority: level, order: this._order++, waiting: 0, controller: new AbortController()};
+            job.promise = new Promise((resolve, reject) => Object.assign(job, {resolve: resolve, reject: reject}));
+            job.promise.catch(() => null);
+            if (key != null) this._inflight.set(key, job);
+            this._queue.push(job);
+        } else if (level > job.priority) job.priority = level;
+        job.waiting++;
+        this.next();
+        if (!signal) return job.promise;
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                reject(signal.reason);
+                this.release(job, signal.reason);
+            };
+            signal.addEventListener('abort', abort, {once: true});
+            job.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * Stops waiting for a task, and aborts it if nothing else is waiting for it.
+     */
+    release(job, reason) {
+        if (--job.waiting > 0) return;
+        job.controller.abort(reason);
+        // A new identical request starts afresh rather than joining the aborted task, even while it is still settling.
+        if (job.key != null && this._inflight.get(job.key) === job) this._inflight.delete(job.key);
+        const index = this._queue.indexOf(job);
+        if (index < 0) return;
+        this._queue.splice(index, 1);
+        job.reject(reason);
+    }
+
+    /**
+     * Starts the waiting tasks with the highest priority, while there is room.
+     */
+    next() {
+        this._queue.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+        while (this._active < this.concurrency && this._queue.length) {
+            const job = this._queue.shift();
+            this._active++;
+            Promise.resolve()
+                .then(() => job.task(job.controller.signal))
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this._active--;
+                    if (job.key != null && this._inflight.get(job.key) === job) this._inflight.delete(job.key);
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * The number of requests in flight, and waiting.
+     * @returns {{active: number, queued: number}}
+     */
+    getLoad() {
+        return {active: this._active, queued: this._queue.length};
+    }
+
+}
+
+/**
+ * Verifies and reads webhook deliveries, and passes them to the handlers registered for their event and action.
+ * Payloads become events (e.g. a `PushEvent` for a `push`), and their repository, sender and organisation are put in
+ * the client's object cache, so `getRepository` and `getActor` need no requests.
+ *
+ * This only needs WebCrypto, so it works in service workers and edge functions.
+ */
+class Webhooks {
+    _github;
+    _handlers = new Map();
+
+    /**
+     * @param github The client to create the objects with.
+     */
+    constructor(github) {
+        this._github = github;
+    }
+
+    /**
+     * Checks a delivery's `X-Hub-Signature-256` header, the HMAC-SHA256 of its body with the webhook's secret.
+     * @param secret The webhook's secret.
+     * @param body The raw body, as it was received (a string, ArrayBuffer or typed array).
+     * @param signature The header, e.g. `sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17`.
+     * @returns {Promise<boolean>} Whether the signature is right.
+     */
+    async verify(secret, body, signature) {
+        if (!secret || !signature || !signature.startsWith('sha256=')) return false;
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']);
+        const data = typeof body === 'string' || body instanceof String ? encoder.encode(body) : body;
+        const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+        const expected = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        const given = signature.substring('sha256='.length).toLowerCase();
+        if (given.length !== expected.length) return false;
+        // Compare every character, so the time taken does not give away how much of a forged signature is right.
+        let difference = 0;
+        for (let i = 0; i < expected.length; i++) difference |= expected.charCodeAt(i) ^ given.charCodeAt(i);
+        return difference === 0;
+    }
+
+    /**
+     * Reads a delivery's payload as an event.
+     * @param name The event name from the `X-GitHub-Event` header, e.g. `push` or `pull_request`.
+     * @param body The payload, as JSON or the data parsed from it.
+     * @param delivery The `X-GitHub-Delivery` ID, which becomes the event's ID.
+     * @returns {Event} The event, of the class for its type, or an `Event` for types without one.
+     * @throws {ValidationError} If there is no event name, e.g. because the request had no `X-GitHub-Event` header.
+     */
+    parse(name, body, {delivery = null} = {}) {
+        if (!name) throw new ValidationError('Webhook delivery has no event name (X-GitHub-Event)');
+        const payload = typeof body === 'string' || body instanceof String ? JSON.parse(body) : body;
+        const type = name.split('_').map(word => word.charAt(0).toUpperCase() + word.substring(1)).join('') + 'Event';
+        const repository = payload.repository ? this._github.createRepository(payload.repository) : null;
+        const sender = payload.sender ? this._github.createUser(payload.sender) : null;
+        const organisation = payload.organization ? this._github.createOrganisation(payload.organization) : null;
+        for (const object of [repository, sender, organisation]) if (object) this._github.cacheResolved(object);
+        return this._github.createObject(eventTypes[type] || Event, {
+            id: delivery,
+            type: type,
+            actor: payload.sender || {},
+            repo: repository ? {id: repository.id, name: repository.full_name, url: repository.url} : {},
+            org: payload.organization,
+            payload: payload,
+            public: repository ? !repository.private : undefined,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Registers a handler for an event, or one action of it.
+     * @param event The event name (e.g. `issues`), the name and action (e.g. `issues.opened`), or `*` for every event.
+     * @param handler The function to call with the `Event` and the delivery's name.
+     * @returns {Webhooks} This, for chaining.
+     */
+    on(event, handler) {
+        if (!this._handlers.has(event)) this._handlers.set(event, []);
+        this._handlers.get(event).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        const handlers = this._handlers.get(event);
+        if (handlers && handlers.includes(handler)) handlers.splice(handlers.indexOf(handler), 1);
+        return this;
+    }
+
+    /**
+     * Calls the handlers registered for an event, in the order they were registered: those for its name, then its action, then `*`.
+     * @param name The event name.
+     * @param event The event.
+     * @returns {Promise<void>} Once every handler has finished.
+     */
+    async dispatch(name, event) {
+        const action = event.getAction();
+        const handlers = [...this._handlers.get(name) || [], ...(action && this._handlers.get(name + '.' + action)) || [], ...this._handlers.get('*') || []];
+        for (const handler of handlers) await handler(event, name);
+    }
+
+    /**
+     * Verifies, reads and dispatches a delivery.
+     * Deliveries are rejected if there is no secret, unless verifying is turned off explicitly (e.g. for local fixtures).
+     * @param request The delivery as a `Request`, or its `{name, body, signature, delivery}`.
+     * @param secret The webhook's secret.
+     * @param verify Whether to verify the signature.
+     * @returns {Promise<null|Event>} The event once it has been handled, or nothing if the signature was wrong or missing,
+     * or the delivery had no event name.
+     */
+    async receive(request, secret, {verify = true} = {}) {
+        let {name, body, signature, delivery} = request;
+        if (typeof Request !== 'undefined' && request instanceof Request) {
+            name = request.headers.get('x-github-event');
+            signature = request.headers.get('x-hub-signature-256');
+            delivery = request.headers.get('x-github-delivery');
+            body = await request.text();
+        }
+        if (verify && !(await this.verify(secret, body, signature))) return null;
+        if (!name) return null;
+        const event = this.parse(name, body, {delivery: delivery});
+        await this.dispatch(name, event);
+        return event;
+    }
+
+}
+
+/**
+ * A client for requesting GitHub objects.
+ * Each client has its own credentials, settings and caches, and the objects it creates stay bound to it.
+ *
+ * The static methods use the default client, which is anonymous unless configured otherwise.
+ */
+class GitHub {
+
+    /**
+     * This URL may be exchanged for a proxy for the API.
+     * (E.g. one that has a server-side secret login, or caches data to avoid the rate-limit.)
+     */
+    url = 'https://api.github.com';
+    /**
+     * A personal access or OAuth token, sent as the `Authorization` header with every request.
+     * This should not be set in public pages, since anyone can read it.
+     */
+    token = null;
+    /**
+     * This setting will cache objects requested by their name/ID.
+     * This is recommended, since it will prevent requests being wasted on the same data.
+     * This should also reduce memory usage since it will prevent duplicate objects being created.
+     */
+    cache_objects = true;
+    /**
+     * This setting will cache all trivial requests to the API.
+     * This may lower the number of requests required, but may not be appropriate for some uses.
+     * Cached responses older than `request_freshness` are revalidated before they are used again.
+     */
+    cache_requests = false;
+    /**
+     * The time (in seconds) a cached response is used without asking the API whether it has changed.
+     */
+    request_freshness = 60;
+    /**
+     * This setting will keep responses that have an `ETag` or `Last-Modified` date, and ask the API whether they have changed
+     * before requesting them again. Unchanged (`304`) responses do not count against the rate limit.
+     */
+    conditional_requests = true;
+    /**
+     * What to do when the rate limit is used up, or a secondary rate limit is hit.
+     * - `wait` waits for the limit to reset and retries the refused request.
+     * - `queue` also holds back every other request from this client until the limit resets, so they are not wasted.
+     * - `fail` throws a `RateLimitError` straight away, including for requests that would certainly be refused.
+     *
+     * If the wait would be longer than `max_rate_limit_wait` (or the request has been retried `max_rate_limit_retries` times),
+     * the request fails with a `RateLimitError`, which is logged or thrown according to `errors` like any other failure.
+     */
+    rate_limit_policy = 'wait';
+    /**
+     * The longest time (in seconds) a request will wait for a rate limit to reset.
+     */
+    max_rate_limit_wait = 60;
+    /**
+     * The number of times a refused request will be retried.
+     */
+    max_rate_limit_retries = 3;
+    /**
+     * The number of times a request for statistics is retried while GitHub is still computing them (`202 Accepted`).
+     * The wait before each retry doubles, starting at `stats_retry_delay` seconds.
+     */
+    max_stats_retries = 4;
+    stats_retry_delay = 1;
+    /**
+     * What to do when a request fails.
+     * - `lenient` logs the error, and methods give nothing or an empty list instead.
+     * - `throw` throws a `GitHubError`, such as a `NotFoundError` or an `AuthError`.
+     *
+     * Either way, an object that fails to load rejects `awaitReady` with the error.
+     */
+    errors = 'lenient';
+    /**
+     * The last known rate limits by resource (e.g. `core`, `search`), taken from the headers of every response.
+     */
+    rate_limits = {};
+    /**
+     * What sends the requests: a function like `fetch` (which is used if this is not set),
+     * or an object with a `fetch` method such as a `FixtureRecorder` or `FixtureReplayer`.
+     */
+    transport = null;
+    /**
+     * The request mode given to the transport, or nothing to leave it out (e.g. for transports that do not support it).
+     */
+    mode = 'cors';
+    /**
+     * The middleware every request and response passes through, in order. See `use`.
+     */
+    middleware = [];
+    /**
+     * Runs this client's requests, with a limit on how many are in flight at once.
+     * @type {Scheduler}
+     */
+    scheduler;
+    /**
+     * Searches of GitHub, which give their results as model objects.
+     *
+     * `client.search.repositories('plugin').topic('github-connect').language('javascript')`
+     */
+    search = {
+        repositories: (text) => new SearchQuery(this, 'repositories', this.createRepository, text),
+        code: (text) => new SearchQuery(this, 'code', this.createFile, text),
+        issues: (text) => new SearchQuery(this, 'issues', this.createIssue, text),
+        users: (text) => new SearchQuery(this, 'users', data => data.type === 'Organization' ? this.createOrganisation(data) : this.createUser(data), text),
+        commits: (text) => new SearchQuery(this, 'commits', this.createCommit, text)
+    };
+    /**
+     * Verifies and reads webhook deliveries. See `Webhooks`.
+     * @type {Webhooks}
+     */
+    webhooks = new Webhooks(this);
+
+    cache;
+    _rate_limit_pause = null;
 
-    constructor(request) {
-        super(request);
+    /**
+     * @param token The token to authenticate with, or nothing for anonymous access.
+     * @param baseUrl The API (or proxy) URL, for GitHub Enterprise or a caching proxy.
+     * @param cache The caches to use (which may be shared with another client), the options for new caches,
+     * or `false` to disable object caching.
+     * @param cache_requests Whether to cache all trivial requests.
+     * @param conditional_requests Whether to revalidate responses with their `ETag` or `Last-Modified` date.
+     * @param rate_limit_policy What to do when the rate limit is hit: `wait`, `queue` or `fail`.
+     * @param errors What to do when a request fails: `lenient` or `throw`.
+     * @param transport What sends the requests, instead of `fetch`.
+     * @param mode The request mode, or `null` to leave it out.
+     * @param middleware The middleware to use.
+     * @param concurrency The most requests in flight at once.
+     */
+    constructor({token = null, baseUrl, cache, cache_requests, conditional_requests, rate_limit_policy, errors, transport, mode, middleware, concurrency} = {}) {
+        this.token = token;
+        if (baseUrl) this.url = baseUrl.endsWith('/') ? baseUrl.substring(0, baseUrl.length - 1) : baseUrl;
+        if (cache === false) this.cache_objects = false;
+        if (cache_requests != null) this.cache_requests = cache_requests;
+        if (conditional_requests != null) this.conditional_requests = conditional_requests;
+        if (rate_limit_policy) this.rate_limit_policy = rate_limit_policy;
+        if (errors) this.errors = errors;
+        if (transport) this.transport = transport;
+        if (mode !== undefined) this.mode = mode;
+        if (middleware) this.middleware = [...middleware];
+        this.scheduler = new Scheduler({concurrency: concurrency});
+        this.cache = (cache instanceof ClientCache) ? cache : new ClientCache({onError: error => this.handleError(error, null), ...(cache || {})});
     }
 
-    async awaitReady() {
-        return super.awaitReady();
+    /**
+     * The headers sent with every request from this client.
+     * @returns {{}} The headers.
+     */
+    getHeaders() {
+        const headers = {};
+        if (this.token) headers['Authorization'] = 'Bearer ' + this.token;
+        return headers;
     }
 
-    async getVersion() {
-        await this.awaitReady();
-        try {
-            if (this._version != null) return this._version;
-            this._version = await this.getLatestRelease(true).then(release => release ? release['tag_name'] : '');
-            return this._version;
-        } catch (error) {
-            return this._version || '';
-        }
+    /**
+     * This method processes the request and caches it if enabled.
+     * Cached responses with an `ETag` or `Last-Modified` date are revalidated, and reused if they have not changed.
+     *
+     * If the request fails, the error is thrown or logged depending on `errors`.
+     * @param url The GitHub API/proxy GET URL.
+     * @param body The request body, or nothing.
+     * @param strict Whether to throw errors whatever the `errors` setting, e.g. when loading an object.
+     * @param optional Whether something missing (`404`) is expected, and gives nothing rather than an error.
+     * @param priority The priority of the request, e.g. `high` or `low` (see `Scheduler`).
+     * @param signal An `AbortSignal` to stop waiting for the request with.
+     * @param accept The media type to request instead of the default JSON, or nothing.
+     * @returns {Promise<null|*>} The data object, or nothing if the request failed.
+     */
+    async request(url, body = {}, {strict = false, optional = false, priority, signal, accept} = {}) {
+        if (url == null) return null;
+        return (await this.requestPage(url, body, {strict: strict, optional: optional, priority: priority, signal: signal, accept: accept})).data;
     }
 
-    async getLatestRelease(draft = false) {
-        await this.awaitReady();
+    /**
+     * Requests a page of a list, along with the links to its other pages from the `Link` header.
+     * Identical requests made while this one is waiting or in flight share its response.
+     * @param url The GitHub API/proxy GET URL.
+     * @param body The request body, or nothing.
+     * @param strict Whether to throw errors whatever the `errors` setting.
+     * @param optional Whether something missing (`404`) gives nothing rather than an error.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting for the request with.
+     * @param accept The media type to request instead of the default JSON, or nothing.
+     * @returns {Promise<{data: *, links: {}, headers: Headers}>} The data object, the page URLs by relation (`next`, `last`, etc.)
+     * and the response headers, which are missing if the page came from the cache without a request.
+     */
+    async requestPage(url, body = {}, {strict = false, optional = false, priority, signal, accept} = {}) {
+        url = this.getPath(url);
+        const key = this.getRequestKey(url, body, accept), cached = await this.cache.requests.load(key);
+        if (cached && this.cache_requests && Date.now() - (cached.fetched || 0) < this.request_freshness * 1000)
+            return {data: cached.data, links: parseLinks(cached.link), headers: null};
         try {
-            if (draft) return GitHub.createRelease((await this.getReleases())[0]);
-            else return GitHub.createRelease((await request(this.releases_url.replace('{/id}', '/latest'))));
+            return await this.scheduler.schedule(signal => this.fetchPage(url, body, key, cached, signal, accept), {
+                key: key,
+                priority: priority,
+                signal: signal
+            });
         } catch (error) {
-            return null;
+            if (optional && error instanceof NotFoundError) return {data: null, links: {}, headers: null};
+            return {data: this.handleError(error, null, strict), links: {}, headers: null};
         }
     }
 
-    async getReleases() {
-        await this.awaitReady();
-        try {
-            return await request(this.releases_url.replace('{/id}', ''));
-        } catch (error) {
-            return [];
+    /**
+     * Sends the request for a page, revalidating the cached copy if there is one, and caches the response.
+     * @param url The API path.
+     * @param body The request query, or nothing.
+     * @param key The key the page is cached by.
+     * @param cached The cached copy, or nothing.
+     * @param signal The signal to abort with.
+     * @param accept The media type to request, or nothing.
+     * @returns {Promise<{data: *, links: {}, headers: Headers}>} The page.
+     */
+    async fetchPage(url, body, key, cached, signal, accept) {
+        const headers = {};
+        if (accept) headers['Accept'] = accept;
+        if (cached && (this.conditional_requests || this.cache_requests)) {
+            if (cached.etag) headers['If-None-Match'] = cached.etag;
+            if (cached.last_modified) headers['If-Modified-Since'] = cached.last_modified;
         }
-
+        const response = await this.send('GET', url, body, headers, {signal: signal});
+        if (response.status === 304 && cached) {
+            this.cache.requests.put(key, {...cached, fetched: Date.now()});
+            return {data: cached.data, links: parseLinks(cached.link), headers: response.headers};
+        }
+        if (!response.ok) throw await GitHubError.from(response, 'GET', url);
+        if (response.status === 202) return {data: null, links: {}, headers: response.headers, pending: true};
+        if (response.status === 204) return {data: null, links: {}, headers: response.headers};
+        const data = await response.text().then(JSON.parse).catch(error => {
+            throw new NetworkError('Unreadable response from GET ' + url + ' -> ' + error, {status: response.status, method: 'GET', url: url, cause: error});
+        });
+        const etag = response.headers.get('etag'), last_modified = response.headers.get('last-modified');
+        const link = response.headers.get('link');
+        if (this.cache_requests || (this.conditional_requests && (etag || last_modified)))
+            this.cache.requests.put(key, {data: data, etag: etag, last_modified: last_modified, link: link, fetched: Date.now()});
+        return {data: data, links: parseLinks(link), headers: response.headers};
     }
 
-    async getFile(name) {
-        await this.awaitReady();
-        return await GitHub.getFile(this.contents_url.replace('{+path}', name)).awaitReady();
+    /**
+     * Requests statistics, which GitHub computes in the background. Until they are ready it responds with `202 Accepted`,
+     * so the request is retried with a growing wait, up to `max_stats_retries` times.
+     * @param url The GitHub API/proxy GET URL.
+     * @param strict Whether to throw errors whatever the `errors` setting.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting with.
+     * @returns {Promise<null|*>} The statistics (empty if there are none yet, e.g. for an empty repository),
+     * or nothing if the request failed or they were not ready in time.
+     */
+    async requestStatistics(url, {strict = false, priority, signal} = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const page = await this.requestPage(url, {}, {strict: strict, priority: priority, signal: signal});
+            if (!page.pending) return page.data;
+            if (attempt >= this.max_stats_retries) {
+                const error = new GitHubError('Statistics are still being computed (202 from GET ' + url + ')', {status: 202, method: 'GET', url: url});
+                return this.handleError(error, null, strict);
+            }
+            await sleep(this.stats_retry_delay * 1000 * Math.pow(2, attempt));
+        }
     }
 
-    async getFileContent(name) {
-        const file = await this.getFile(name);
-        return file.getContent();
+    /**
+     * Creates an iterator over every item of a paginated list.
+     * @param url The GitHub API/proxy GET URL of the list, or a promise of it for objects that are not ready yet.
+     * @param body The request query, or nothing.
+     * @param map A function to convert each item, e.g. into a model object.
+     * @param key The property holding the items, for lists that are wrapped in an object.
+     * @param accept The media type to request, e.g. `application/vnd.github.star+json` for the dates of stars.
+     * @returns {Paginator}
+     */
+    paginate(url, body = {}, map, key, accept) {
+        return new Paginator(this, url, body, map, key, accept);
     }
 
-    async getOwner() {
-        await this.awaitReady();
-        return await GitHub.getUserByName(this['owner'].login).awaitReady();
+    /**
+     * Requests something that is not JSON, such as a file or a download. This is never cached.
+     * URLs outside the API are requested without the client's credentials.
+     * @param url The URL.
+     * @param headers Any headers to send.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting for the request with.
+     * @param optional Whether something missing (`404`) gives nothing rather than an error.
+     * @returns {Promise<null|Response>} The response, or nothing if the request failed.
+     */
+    async requestRaw(url, headers = {}, {priority, signal, optional = false} = {}) {
+        if (url == null) return null;
+        try {
+            const response = await this.scheduler.schedule(signal => {
+                if (/^https?:/.test(url) && !url.startsWith(this.url) && !url.includes('api.github')) return this.exchange('GET', url, null, headers, signal);
+                return this.send('GET', this.getPath(url), null, headers, {signal: signal});
+            }, {priority: priority, signal: signal});
+            if (!response.ok) throw await GitHubError.from(response, 'GET', url);
+            return response;
+        } catch (error) {
+            if (optional && error instanceof NotFoundError) return null;
+            return this.handleError(error, null);
+        }
     }
 
-    async getLanguages() {
-        await this.awaitReady();
+    /**
+     * Sends a request that changes something, such as a `POST`, `PATCH`, `PUT` or `DELETE`.
+     * This is never cached, and any cached requests for the URL are removed.
+     * Most of these need the client to have a token.
+     * @param method The HTTP method.
+     * @param url The GitHub API/proxy URL.
+     * @param data The JSON body, or nothing.
+     * @param strict Whether to throw errors whatever the `errors` setting.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting for the request with. The change may still be made once it has been sent.
+     * @returns {Promise<null|*>} The response data (empty if there was none), or nothing if the request failed.
+     */
+    async write(method, url, data, {strict = false, priority, signal} = {}) {
+        if (url == null) return null;
+        url = this.getPath(url);
         try {
-            if (this._languages != null) return this._languages;
-            this._languages = await request(this['languages_url']);
-            return this._languages || {};
+            const response = await this.scheduler.schedule(signal => this.send(method, url, data, {}, {signal: signal}), {priority: priority, signal: signal});
+            await this.cache.invalidate(url);
+            if (!response.ok) throw await GitHubError.from(response, method, url);
+            return await response.text()
+                .then(text => text ? JSON.parse(text) : {})
+                .catch(() => ({}));
         } catch (error) {
-            return this._languages || {};
+            return this.handleError(error, null, strict);
         }
     }
 
-    async getContributors() {
-        await this.awaitReady();
+    /**
+     * Sends a query to the GraphQL API, which needs the client to have a token. This is never cached.
+     * If the answer has errors, the `GraphQLError` keeps whatever data did come back.
+     * @param query The query, e.g. `query($login: String!) { user(login: $login) { name } }`
+     * @param variables The values of the query's variables.
+     * @param strict Whether to throw errors whatever the `errors` setting.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting for the request with.
+     * @returns {Promise<null|*>} The data, or nothing if the query failed.
+     */
+    async graphql(query, variables = {}, {strict = false, priority, signal} = {}) {
         try {
-            if (this._members != null) return await this._members;
-            return await (this._members = request(this['contributors_url']));
+            const response = await this.scheduler.schedule(signal => this.send('POST', '/graphql', {query: query, variables: variables}, {}, {signal: signal}), {
+                priority: priority,
+                signal: signal
+            });
+            if (!response.ok) throw await GitHubError.from(response, 'POST', '/graphql');
+            const body = await response.json().catch(error => {
+                throw new NetworkError('Unreadable response from POST /graphql -> ' + error, {status: response.status, method: 'POST', url: '/graphql', cause: error});
+            });
+            if (body.errors && body.errors.length) throw new GraphQLError(body.errors.map(error => error.message).join('; '), {
+                data: body.data,
+                errors: body.errors,
+                status: response.status,
+                request_id: response.headers.get('x-github-request-id'),
+                method: 'POST',
+                url: '/graphql'
+            });
+            return body.data;
         } catch (error) {
-            return [];
+            return this.handleError(error, null, strict);
         }
     }
 
-    async getContents() {
-        await this.awaitReady();
+    /**
+     * Renders Markdown as HTML, the way GitHub does. This is never cached.
+     * With a repository as the context, issue and user references are linked, and relative links and images are made
+     * absolute URLs of its files at the ref (e.g. `https://github.com/octocat/hello-world/blob/main/docs/guide.md`).
+     * @param text The Markdown.
+     * @param mode `gfm` for GitHub Flavored Markdown as in issues and comments, or `markdown` for plain Markdown as in files.
+     * @param context The repository (or its full name) the Markdown belongs to, or nothing.
+     * @param ref The branch, tag or commit links point to, or nothing for the default branch.
+     * @param path The directory of the Markdown in the repository, which relative links start from.
+     * @param strict Whether to throw errors whatever the `errors` setting.
+     * @param priority The priority of the request.
+     * @param signal An `AbortSignal` to stop waiting for the request with.
+     * @returns {Promise<null|string>} The HTML, or nothing if the request failed.
+     */
+    async renderMarkdown(text, {mode = 'gfm', context, ref, path = '', strict = false, priority, signal} = {}) {
         try {
-            if (this._contents != null) return await this._contents;
-            return await (this._contents = request(this['url'] + '/contents'));
+            const repository = context == null ? null
+                : await (context instanceof Repository ? context : this.getRepository(context + '')).awaitReady();
+            const data = {text: text, mode: mode};
+            if (repository) data.context = repository.full_name;
+            const response = await this.scheduler.schedule(signal => this.send('POST', '/markdown', data, {}, {signal: signal}), {
+                priority: priority,
+                signal: signal
+            });
+            if (!response.ok) throw await GitHubError.from(response, 'POST', '/markdown');
+            const html = await response.text();
+            if (!repository) return html;
+            const base = repository.html_url + '/', branch = encodeURI(ref || repository.default_branch);
+            return rewriteLinks(html, {href: base + 'blob/' + branch + '/', src: base + 'raw/' + branch + '/'}, path);
         } catch (error) {
-            return [];
+            return this.handleError(error, null, strict);
         }
     }
 
-    async isContributor(user) {
-        const members = await this.getContributors();
-        if (user instanceof User) for (let member of members) if (member.id === user.id) return true;
-        else for (let member of members) if ((member.id + '') === (user.id + '')) return true;
-        return false;
+    /**
+     * Starts a batch of users, organisations and repositories to load in one GraphQL query.
+     * @returns {GraphQLBatch}
+     */
+    batch() {
+        return new GraphQLBatch(this);
     }
 
-    async isOwner(user) {
-        const owner = await this.getOwner();
-        if (user instanceof User) return owner.id === user.id;
-        else return (owner.id + '') === (user.id + '');
+    /**
+     * Deals with a failed request according to `errors`: either throws the error, or logs it and gives a fallback.
+     * A `RateLimitError` is always thrown if the `rate_limit_policy` is `fail`, and an aborted request always throws its reason.
+     * @param error The error.
+     * @param fallback The value to give instead, e.g. an empty list.
+     * @param strict Whether to throw the error whatever the `errors` setting.
+     * @returns {*} The fallback.
+     */
+    handleError(error, fallback = null, strict = false) {
+        if (strict || this.errors === 'throw') throw error;
+        if (error && error.name === 'AbortError') throw error;
+        if (error instanceof RateLimitError && this.rate_limit_policy === 'fail') throw error;
+        console.error(error);
+        return fallback;
     }
-}
 
-class Cache {
-    put = (id, object) => this[id] = object;
-    get = (id) => this[id] || null;
-    has = (id) => !!this[id];
-}
+    /**
+     * Converts a URL from the API (or this client's proxy) into a path on this client's URL.
+     * @param url The URL, or a path.
+     * @returns {string} The path.
+     */
+    getPath(url) {
+        if (url.startsWith(this.url)) return url.substring(this.url.length);
+        if (url.includes('api.github')) return url.substring('https://api.github.com'.length);
+        return url;
+    }
 
-/**
- * The handle for requesting GitHub objects.
- */
-class GitHub {
+    /**
+     * The key a request is cached by, which includes its query and any media type other than the default.
+     * @param path The API path.
+     * @param body The request body, or nothing.
+     * @param accept The media type, or nothing.
+     * @returns {string} The key.
+     */
+    getRequestKey(path, body, accept = null) {
+        const query = body != null ? http.formEncode(body) : '';
+        if (accept) return path + '?' + query + '#' + accept;
+        return query ? path + '?' + query : path;
+    }
 
     /**
-     * This URL may be exchanged for a proxy for the API.
-     * (E.g. one that has a server-side secret login, or caches data to avoid the rate-limit.)
+     * Sends a request, recording the rate limit from the response and dealing with a refusal according to `rate_limit_policy`.
+     * @param method The HTTP method.
+     * @param path The API path.
+     * @param body The request query for a `GET`, otherwise the JSON body, or nothing.
+     * @param headers Any headers to send in addition to the client's own.
+     * @param signal An `AbortSignal` to abort the request with.
+     * @param attempt The number of times this request has been refused already.
+     * @returns {Promise<Response>} The response.
      */
-    static url = 'https://api.github.com';
+    async send(method, path, body, headers = {}, {signal = null, attempt = 0} = {}) {
+        await this.awaitRateLimit(path);
+        const response = await this.exchange(method, this.url + path, body, {...this.getHeaders(), ...headers}, signal);
+        this.updateRateLimit(response.headers);
+        const error = await this.checkRateLimit(path, response);
+        if (!error) return response;
+        const wait = error.retry_after * 1000;
+        if (this.rate_limit_policy === 'fail') throw error;
+        if (attempt >= this.max_rate_limit_retries || error.retry_after > this.max_rate_limit_wait) throw error;
+        if (this.rate_limit_policy === 'queue') await this.pauseFor(wait);
+        else await sleep(wait);
+        return this.send(method, path, body, headers, {signal: signal, attempt: attempt + 1});
+    }
+
     /**
-     * This setting will cache objects requested by their name/ID.
-     * This is recommended, since it will prevent requests being wasted on the same data.
-     * This should also reduce memory usage since it will prevent duplicate objects being created.
+     * Sends a request through the middleware and the transport. This is where every request from the client is made.
+     * @param method The HTTP method.
+     * @param url The full URL.
+     * @param body The request query for a `GET`, otherwise the JSON body, or nothing.
+     * @param headers The headers to send.
+     * @param signal An `AbortSignal` to abort the request with.
+     * @returns {Promise<Response>} The response, as given by the last middleware.
      */
-    static cache_objects = true;
+    async exchange(method, url, body, headers = {}, signal = null) {
+        if (method === 'GET' && body != null) {
+            const query = http.formEncode(body);
+            if (query) url += (url.includes('?') ? '&' : '?') + query;
+            body = null;
+        }
+        let request = {method: method, url: url, headers: headers, body: body};
+        for (const middleware of this.middleware) if (middleware.request) request = (await middleware.request(request)) || request;
+        let response = request.method === 'GET'
+            ? await http.getRaw(request.url, null, request.headers, this.mode, this.transport, signal)
+            : await http.send(request.method, request.url, request.body, request.headers, this.mode, this.transport, signal);
+        for (const middleware of this.middleware) if (middleware.response) response = (await middleware.response(response, request)) || response;
+        return response;
+    }
+
     /**
-     * This setting will cache all trivial requests to the API.
-     * This may lower the number of requests required, but may not be appropriate for some uses.
+     * Adds middleware, which sees every request before it is sent and every response before it is used.
+     * Either hook may change what it is given, or return a replacement.
+     * @param middleware An object with a `request(request)` hook, a `response(response, request)` hook, or both.
+     * The request has the `method`, `url`, `headers` and JSON `body`.
+     * @returns {GitHub} This client.
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Holds back a request while this client is paused, or while its rate limit is known to be used up.
+     * Searches are always held back rather than refused, since their limit is low and resets every minute.
+     * @param path The API path.
+     */
+    async awaitRateLimit(path) {
+        while (this._rate_limit_pause) await this._rate_limit_pause;
+        const resource = getRateLimitResource(path), limit = this.rate_limits[resource];
+        if (this.rate_limit_policy === 'wait' && resource !== 'search' && resource !== 'code_search') return;
+        if (!limit || limit.remaining > 0) return;
+        const wait = limit.reset.getTime() - Date.now() + 1000;
+        if (wait <= 0) return;
+        const error = new RateLimitError('The ' + resource + ' rate limit is used up until ' + limit.reset.toISOString(), {
+            ...limit,
+            resource: resource,
+            retry_after: Math.ceil(wait / 1000)
+        });
+        if (this.rate_limit_policy === 'fail') throw error;
+        if (error.retry_after > this.max_rate_limit_wait) return;
+        if (this.rate_limit_policy === 'queue') await this.pauseFor(wait);
+        else await sleep(wait);
+    }
+
+    /**
+     * Pauses every request from this client for some time.
+     * @param millis The time to pause for.
+     * @returns {Promise} A promise that completes when the pause is over.
+     */
+    pauseFor(millis) {
+        if (this._rate_limit_pause) return this._rate_limit_pause;
+        return this._rate_limit_pause = sleep(millis).then(() => this._rate_limit_pause = null);
+    }
+
+    /**
+     * Reads the `X-RateLimit-*` headers of a response into `rate_limits`.
+     * @param headers The response headers.
+     */
+    updateRateLimit(headers) {
+        if (!headers || !headers.has('x-ratelimit-limit')) return;
+        this.rate_limits[headers.get('x-ratelimit-resource') || 'core'] = {
+            limit: Number(headers.get('x-ratelimit-limit')),
+            remaining: Number(headers.get('x-ratelimit-remaining')),
+            used: Number(headers.get('x-ratelimit-used')),
+            reset: new Date(Number(headers.get('x-ratelimit-reset')) * 1000)
+        };
+    }
+
+    /**
+     * Checks whether a response is a refusal from the primary or a secondary rate limit.
+     * @param path The API path.
+     * @param response The response.
+     * @returns {Promise<null|RateLimitError>} The error describing the refusal, or nothing if it was not refused.
      */
-    static cache_requests = false;
+    async checkRateLimit(path, response) {
+        if (response.status !== 403 && response.status !== 429) return null;
+        const headers = response.headers, resource = headers.get('x-ratelimit-resource') || getRateLimitResource(path);
+        const limit = this.rate_limits[resource] || {};
+        const body = await response.clone().json().catch(() => ({}));
+        const retry_after = headers.get('retry-after'), message = body.message || '';
+        const secondary = /secondary rate limit/i.test(message);
+        let wait;
+        if (retry_after != null) wait = Number(retry_after);
+        else if (headers.get('x-ratelimit-remaining') === '0' && limit.reset) wait = Math.max(1, Math.ceil((limit.reset.getTime() - Date.now()) / 1000) + 1);
+        else if (secondary || response.status === 429 || /rate limit/i.test(message)) wait = 60;
+        else return null;
+        return new RateLimitError(message || ('The ' + resource + ' rate limit was exceeded'), {
+            ...limit,
+            resource: resource,
+            retry_after: wait,
+            secondary: secondary,
+            status: response.status,
+            documentation_url: body.documentation_url,
+            request_id: headers.get('x-github-request-id'),
+            url: path
+        });
+    }
 
-    static cache = {
-        users: new Cache(),
-        repositories: new Cache(),
-        gists: new Cache(),
-        requests: new Cache(),
-        put: (id, object) => {
-            if (object instanceof User) GitHub.cache.users.put(id, object);
-            else if (object instanceof Repository) GitHub.cache.repositories.put(id, object);
-            else if (object instanceof Repository) GitHub.cache.repositories.put(id, object);
-            this[id] = object;
+    /**
+     * Fetches the current rate limits from the API. This request does not count against the rate limit.
+     * @param resource The resource to get the limit of (e.g. `core`, `search`), or nothing for all of them.
+     * @returns {Promise<{}>} The limit, remaining requests, used requests and reset date, or an object of these by resource.
+     */
+    async getRateLimit(resource) {
+        const data = await this.send('GET', '/rate_limit', null)
+            .then(response => response.json())
+            .catch(error => this.handleError(error));
+        if (data && data.resources) for (const key in data.resources) {
+            const limit = data.resources[key];
+            this.rate_limits[key] = {
+                limit: limit.limit,
+                remaining: limit.remaining,
+                used: limit.used,
+                reset: new Date(limit.reset * 1000)
+            };
         }
+        return resource ? (this.rate_limits[resource] || null) : this.rate_limits;
     }
 
-    static createRelease = (data) => {
-        return data;
+    createRelease = (data) => {
+        if (data == null) return null;
+        return this.createObject(Release, data);
     };
-    static createGist = (data) => {
-        const gist = new Gist();
+    createReleaseAsset = (data) => this.createObject(ReleaseAsset, data);
+    /**
+     * Creates a gist object from its data.
+     * If the data has no ID (e.g. `{files, description, public}`) this creates a new gist on GitHub instead,
+     * and the object is ready once it has been created.
+     * The files may be given as strings or as `{content}` objects.
+     */
+    createGist = (data) => {
+        if (data && data.id == null && data.files) {
+            const gist = new Gist(this.write('POST', '/gists', {
+                description: data.description,
+                public: !!data.public,
+                files: normaliseGistFiles(data.files)
+            }, {strict: true}), this);
+            if (this.cache_objects) gist.awaitReady().then(() => gist.id && this.cache.gists.put(gist.id + '', gist), () => null);
+            return gist;
+        }
+        const gist = new Gist(undefined, this);
         Object.assign(gist, data);
         gist._resolved = true;
-        if (GitHub.cache_objects) GitHub.cache.gists.put(gist.id + '', gist);
+        if (this.cache_objects) this.cache.gists.put(gist.id + '', gist);
         return gist;
     }
-    static createFile = (data) => {
+    createFile = (data) => {
         if (Array.isArray(data)) {
             const array = [];
-            for (let datum of data) array.push(GitHub.createFile(datum));
+            for (let datum of data) array.push(this.createFile(datum));
             return array;
         }
-        const file = new File();
+        const file = new File(undefined, this);
         Object.assign(file, data);
         file._resolved = true;
         return file;
     }
-    static createEvent = (data) => {
+    createEvent = (data) => {
         if (Array.isArray(data)) {
             const array = [];
-            for (let datum of data) array.push(GitHub.createEvent(datum));
+            for (let datum of data) array.push(this.createEvent(datum));
             return array;
         }
-        const event = new Event();
+        const event = new (eventTypes[data && data.type] || Event)(undefined, this);
         Object.assign(event, data);
         event._resolved = true;
         return event;
     }
-    static createUser = (data) => {
-        const user = new User();
+    createUser = (data) => {
+        const user = new User(undefined, this);
         Object.assign(user, data);
         user._resolved = true;
         user.display_name = user.name || user.login;
-        if (GitHub.cache_objects) GitHub.cache.users.put(user.id + '', user);
+        if (this.cache_objects) this.cache.users.put(user.id + '', user);
         return user;
     };
-    static createOrganisation = (data) => {
-        const organisation = new Organisation();
+    createOrganisation = (data) => {
+        const organisation = new Organisation(undefined, this);
         Object.assign(organisation, data);
         organisation._resolved = true;
         organisation.display_name = organisation.name || organisation.login;
         return organisation;
     };
-    static createRepository = (data) => {
-        const repository = new Repository();
+    createRepository = (data) => {
+        const repository = new Repository(undefined, this);
         Object.assign(repository, data);
         repository._resolved = true;
-        if (GitHub.cache_objects) GitHub.cache.repositories.put(repository.id + '', repository);
+        if (this.cache_objects) this.cache.repositories.put(repository.id + '', repository);
         return repository;
     };
+    createIssue = (data) => this.createObject(Issue, data);
+    createPullRequest = (data) => this.createObject(PullRequest, data);
+    createLabel = (data) => this.createObject(Label, data);
+    createMilestone = (data) => this.createObject(Milestone, data);
+    createComment = (data) => this.createObject(Comment, data);
+    createReview = (data) => this.createObject(Review, data);
+    createTimelineEvent = (data) => this.createObject(TimelineEvent, data);
+    createDirectory = (data) => this.createObject(Directory, data);
+    createCommit = (data) => this.createObject(Commit, data);
+    createBranch = (data) => this.createObject(Branch, data);
+    createTag = (data) => this.createObject(Tag, data);
+    createTeam = (data) => this.createObject(Team, data);
+
+    /**
+     * Caches an object that is loading, and removes it again if it fails to load so that it will be requested again.
+     * @param cache The cache for the object's type.
+     * @param id The ID or name of the object.
+     * @param object The object.
+     * @returns {Git} The object.
+     */
+    cacheObject(cache, id, object) {
+        cache.put(id, object);
+        object.awaitReady().catch(() => {
+            if (cache.has(id) && cache.get(id) === object) cache.delete(id);
+        });
+        return object;
+    }
+
+    /**
+     * Caches a resolved user, repository or gist under each of its ID, login and full name, so it is found by any of them.
+     * @param object The object.
+     * @returns {Git} The object.
+     */
+    cacheResolved(object) {
+        if (!this.cache_objects) return object;
+        const cache = object instanceof User ? this.cache.users : object instanceof Repository ? this.cache.repositories
+            : object instanceof Gist ? this.cache.gists : null;
+        if (cache) for (const id of [object.id, object.login, object.full_name]) if (id != null) cache.put(id + '', object);
+        return object;
+    }
+
+    /**
+     * Creates the files and directories of a directory listing, from either the contents API or the trees API.
+     * @param list The entries.
+     * @param parent The path of the directory, for tree entries whose paths are relative to it.
+     * @param html_url The page of the directory, e.g. `https://github.com/octocat/hello-world/tree/main/docs`, which tree entries are given pages under.
+     * @returns {(File|Directory)[]}
+     */
+    createEntries(list, parent = '', html_url = null) {
+        const base = html_url && html_url.match(/^(https?:\/\/[^/]+\/[^/]+\/[^/]+)\/tree\/(.+)$/);
+        return list.map(item => {
+            if (item.type !== 'tree' && item.type !== 'blob' && item.type !== 'commit') {
+                return item.type === 'dir' ? this.createDirectory(item) : this.createFile(item);
+            }
+            const path = parent ? parent + '/' + item.path : item.path;
+            const data = {...item, path: path, name: path.substring(path.lastIndexOf('/') + 1)};
+            if (base) data.html_url = base[1] + (item.type === 'tree' ? '/tree/' : '/blob/') + base[2] + '/' + item.path;
+            return item.type === 'tree' ? this.createDirectory(data) : this.createFile(data);
+        });
+    }
+
+    /**
+     * Creates a resolved object (or an array of them) of a type from its data.
+     * @param type The class of the object.
+     * @param data The data, or an array of data.
+     */
+    createObject(type, data) {
+        if (Array.isArray(data)) return data.map(datum => this.createObject(type, datum));
+        const object = new type(undefined, this);
+        Object.assign(object, data);
+        object._resolved = true;
+        return object;
+    }
+
+    /**
+     * Rebuilds objects from their JSON (see `toJSON`), such as a snapshot embedded in a pre-rendered page.
+     * They are ready straight away along with everything they had loaded, are bound to this client,
+     * and users, repositories and gists are put back in the object cache.
+     * An object that appears more than once (e.g. as the owner of several serialised repositories) is only rebuilt once.
+     * @param json The JSON, or the data parsed from it. This may be one object, or an array or object of them.
+     * @returns {*} The objects, in the same shape.
+     */
+    hydrate = (json) => {
+        if (typeof json === 'string' || json instanceof String) json = JSON.parse(json);
+        const known = new Map();
+        const build = (value, objects) => {
+            if (Array.isArray(value)) return value.map(item => build(item, objects));
+            if (value == null || typeof value !== 'object') return value;
+            if (value._ref != null && objects) return objects.get(value._ref);
+            if (value._type == null) {
+                const object = {};
+                for (const key in value) object[key] = build(value[key], objects);
+                return object;
+            }
+            objects = objects || new Map();
+            const key = value.id != null ? value._type + ':' + value.id : null;
+            if (known.has(key)) {
+                objects.set(value._id, known.get(key));
+                for (const field in value) build(value[field], objects);
+                return known.get(key);
+            }
+            const object = new (modelTypes[value._type] || Git)(undefined, this);
+            objects.set(value._id, object);
+            if (key) known.set(key, object);
+            for (const key in value) if (key !== '_type' && key !== '_id') object[key] = build(value[key], objects);
+            object._resolved = true;
+            this.cacheResolved(object);
+            return object;
+        };
+        return build(json, null);
+    }
 
-    static getOrganisation = (id) => {
-        if (GitHub.cache_objects && GitHub.cache.users.has(id + '')) return GitHub.cache.users.get(id + '');
+    getOrganisation = (id) => {
+        if (this.cache_objects && this.cache.users.has(id + '')) return this.cache.users.get(id + '');
         let user;
-        if ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) user = new Organisation(request(GitHub.url + '/orgs/' + id));
-        else user = new Organisation(request(GitHub.url + '/organizations/' + id));
-        if (GitHub.cache_objects) GitHub.cache.users.put(id + '', user);
+        if ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) user = new Organisation(this.request('/orgs/' + id, {}, {strict: true}), this);
+        else user = new Organisation(this.request('/organizations/' + id, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.users, id + '', user);
         return user;
     }
-    static getUser = (id) => {
-        if (GitHub.cache_objects && GitHub.cache.users.has(id + '')) return GitHub.cache.users.get(id + '');
-        const user = ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) ? new User(request(GitHub.url + '/users/' + id)) : new User(request(GitHub.url + '/user/' + id));
-        if (GitHub.cache_objects) GitHub.cache.users.put(id + '', user);
+    getUser = (id) => {
+        if (this.cache_objects && this.cache.users.has(id + '')) return this.cache.users.get(id + '');
+        const user = ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) ? new User(this.request('/users/' + id, {}, {strict: true}), this) : new User(this.request('/user/' + id, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.users, id + '', user);
         return user;
     }
-    static getUserByName = (name) => {
-        if (GitHub.cache_objects && GitHub.cache.users.has(name)) return GitHub.cache.users.get(name);
-        const user = new User(request(GitHub.url + '/users/' + name));
-        if (GitHub.cache_objects) GitHub.cache.users.put(name, user);
+    getUserByName = (name) => {
+        if (this.cache_objects && this.cache.users.has(name)) return this.cache.users.get(name);
+        const user = new User(this.request('/users/' + name, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.users, name, user);
         return user;
     }
-    static getRepository = (id) => {
-        if (GitHub.cache_objects && GitHub.cache.repositories.has(id + '')) return GitHub.cache.repositories.get(id + '');
+    /**
+     * The user this client is authenticated as.
+     * This is not cached by name, since it may include private data that other clients should not see.
+     * @returns {User}
+     */
+    getAuthenticatedUser = () => {
+        if (!this.token) return null;
+        return new User(this.request('/user', {}, {strict: true}), this);
+    }
+    getRepository = (id) => {
+        if (this.cache_objects && this.cache.repositories.has(id + '')) return this.cache.repositories.get(id + '');
         let repository;
-        if ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) repository = new Repository(request(GitHub.url + '/repos/' + id));
-        else repository = new Repository(request(GitHub.url + '/repositories/' + id));
-        if (GitHub.cache_objects) GitHub.cache.repositories.put(id + '', repository);
+        if ((typeof id === 'string' || id instanceof String) && !/^\d+$/g.test(id)) repository = new Repository(this.request('/repos/' + id, {}, {strict: true}), this);
+        else repository = new Repository(this.request('/repositories/' + id, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.repositories, id + '', repository);
         return repository;
     }
-    static getRepositoryByName = (user, name) => {
+    getRepositoryByName = (user, name) => {
         const id = name ? user + '/' + name : user;
-        if (GitHub.cache_objects && GitHub.cache.repositories.has(id)) return GitHub.cache.repositories.get(id);
-        const repository = new Repository(request(GitHub.url + '/repos/' + id));
-        if (GitHub.cache_objects) GitHub.cache.repositories.put(id, repository);
+        if (this.cache_objects && this.cache.repositories.has(id)) return this.cache.repositories.get(id);
+        const repository = new Repository(this.request('/repos/' + id, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.repositories, id, repository);
         return repository;
     }
-    static getFile = (url) => {
-        return new File(request(url));
+    getFile = (url) => {
+        return new File(this.request(url, {}, {strict: true}), this);
+    }
+    getIssue = (url) => {
+        return new Issue(this.request(url, {}, {strict: true}), this);
+    }
+    getPullRequest = (url) => {
+        return new PullRequest(this.request(url, {}, {strict: true}), this);
+    }
+    getRelease = (url) => {
+        return new Release(this.request(url, {}, {strict: true}), this);
+    }
+    getCommit = (url) => {
+        return new Commit(this.request(url, {}, {strict: true}), this);
+    }
+    getBranch = (url) => {
+        return new Branch(this.request(url, {}, {strict: true}), this);
     }
-    static getGist = (id) => {
-        if (GitHub.cache_objects && GitHub.cache.gists.has(id)) return GitHub.cache.gists.get(id);
-        const gist = new Gist(request(GitHub.url + '/gists/' + id));
-        if (GitHub.cache_objects) GitHub.cache.gists.put(id, gist);
+    getComparison = (url) => {
+        return new Comparison(this.request(url, {}, {strict: true}), this);
+    }
+    getTeam = (url) => {
+        return new Team(this.request(url, {}, {strict: true}), this);
+    }
+    getGist = (id) => {
+        if (this.cache_objects && this.cache.gists.has(id)) return this.cache.gists.get(id);
+        const gist = new Gist(this.request('/gists/' + id, {}, {strict: true}), this);
+        if (this.cache_objects) this.cacheObject(this.cache.gists, id, gist);
         return gist;
     }
 
+    /**
+     * The anonymous client used by the static methods.
+     * Its settings may be changed through the static properties, e.g. `GitHub.url`.
+     * @type {GitHub}
+     */
+    static default = new GitHub();
+
+    static get url() {
+        return GitHub.default.url;
+    }
+
+    static set url(url) {
+        GitHub.default.url = url;
+    }
+
+    static get token() {
+        return GitHub.default.token;
+    }
+
+    static set token(token) {
+        GitHub.default.token = token;
+    }
+
+    static get cache_objects() {
+        return GitHub.default.cache_objects;
+    }
+
+    static set cache_objects(value) {
+        GitHub.default.cache_objects = value;
+    }
+
+    static get cache_requests() {
+        return GitHub.default.cache_requests;
+    }
+
+    static set cache_requests(value) {
+        GitHub.default.cache_requests = value;
+    }
+
+    static get conditional_requests() {
+        return GitHub.default.conditional_requests;
+    }
+
+    static set conditional_requests(value) {
+        GitHub.default.conditional_requests = value;
+    }
+
+    static get cache() {
+        return GitHub.default.cache;
+    }
+
+    static get transport() {
+        return GitHub.default.transport;
+    }
+
+    static set transport(transport) {
+        GitHub.default.transport = transport;
+    }
+
+    static get concurrency() {
+        return GitHub.default.scheduler.concurrency;
+    }
+
+    static set concurrency(concurrency) {
+        GitHub.default.scheduler.concurrency = concurrency;
+    }
+
+    static get search() {
+        return GitHub.default.search;
+    }
+
+    static get webhooks() {
+        return GitHub.default.webhooks;
+    }
+
+    static get rate_limit_policy() {
+        return GitHub.default.rate_limit_policy;
+    }
+
+    static set rate_limit_policy(policy) {
+        GitHub.default.rate_limit_policy = policy;
+    }
+
+    static get errors() {
+        return GitHub.default.errors;
+    }
+
+    static set errors(errors) {
+        GitHub.default.errors = errors;
+    }
+
+    static use = (middleware) => GitHub.default.use(middleware);
+    static getRateLimit = (resource) => GitHub.default.getRateLimit(resource);
+    static hydrate = (json) => GitHub.default.hydrate(json);
+    static request = (url, body) => GitHub.default.request(url, body);
+    static graphql = (query, variables, options) => GitHub.default.graphql(query, variables, options);
+    static renderMarkdown = (text, options) => GitHub.default.renderMarkdown(text, options);
+    static batch = () => GitHub.default.batch();
+    static createRelease = (data) => GitHub.default.createRelease(data);
+    static createReleaseAsset = (data) => GitHub.default.createReleaseAsset(data);
+    static createGist = (data) => GitHub.default.createGist(data);
+    static createFile = (data) => GitHub.default.createFile(data);
+    static createEvent = (data) => GitHub.default.createEvent(data);
+    static createUser = (data) => GitHub.default.createUser(data);
+    static createOrganisation = (data) => GitHub.default.createOrganisation(data);
+    static createRepository = (data) => GitHub.default.createRepository(data);
+    static createIssue = (data) => GitHub.default.createIssue(data);
+    static createPullRequest = (data) => GitHub.default.createPullRequest(data);
+    static createLabel = (data) => GitHub.default.createLabel(data);
+    static createMilestone = (data) => GitHub.default.createMilestone(data);
+    static createComment = (data) => GitHub.default.createComment(data);
+    static createDirectory = (data) => GitHub.default.createDirectory(data);
+    static createCommit = (data) => GitHub.default.createCommit(data);
+    static createBranch = (data) => GitHub.default.createBranch(data);
+    static createTag = (data) => GitHub.default.createTag(data);
+    static createTeam = (data) => GitHub.default.createTeam(data);
+    static getOrganisation = (id) => GitHub.default.getOrganisation(id);
+    static getUser = (id) => GitHub.default.getUser(id);
+    static getUserByName = (name) => GitHub.default.getUserByName(name);
+    static getAuthenticatedUser = () => GitHub.default.getAuthenticatedUser();
+    static getRepository = (id) => GitHub.default.getRepository(id);
+    static getRepositoryByName = (user, name) => GitHub.default.getRepositoryByName(user, name);
+    static getFile = (url) => GitHub.default.getFile(url);
+    static getIssue = (url) => GitHub.default.getIssue(url);
+    static getPullRequest = (url) => GitHub.default.getPullRequest(url);
+    static getRelease = (url) => GitHub.default.getRelease(url);
+    static getCommit = (url) => GitHub.default.getCommit(url);
+    static getBranch = (url) => GitHub.default.getBranch(url);
+    static getComparison = (url) => GitHub.default.getComparison(url);
+    static getTeam = (url) => GitHub.default.getTeam(url);
+    static getGist = (id) => GitHub.default.getGist(id);
+
 }
 
-export {GitHub, User, Repository, Organisation, Gist, File, Event, Git};
+export {GitHub, GitHubError, NotFoundError, AuthError, ValidationError, NetworkError, GraphQLError, Paginator, SearchQuery, User, Repository, Organisation, Team, Gist, File, Directory, Event, PushEvent, PullRequestEvent, IssuesEvent, IssueCommentEvent, CreateEvent, DeleteEvent, ReleaseEvent, WatchEvent, ForkEvent, EventPoller, Issue, PullRequest, Label, Milestone, Comment, Review, TimelineEvent, Commit, Branch, Tag, Comparison, Release, ReleaseAsset, Git, RateLimitError, Cache, ClientCache, WebStorage, IndexedDBStorage, GraphQLBatch, FixtureRecorder, FixtureReplayer, Scheduler, Webhooks, Archive};